@@ -0,0 +1,125 @@
+/*
+ * Breadcrumbs Block
+ * Trail from the home page to the current page, derived from the nav or the URL path.
+ * https://www.w3.org/WAI/ARIA/apg/patterns/breadcrumb/
+ */
+
+import { getMetadata } from '../../scripts/aem.js';
+import { getLocalePrefix } from '../../scripts/i18n.js';
+import { fetchNav, findActiveLink, getNavTrail } from '../../scripts/navigation.js';
+import { loadPlaceholders } from '../../scripts/placeholders.js';
+
+/**
+ * Gets the title of the current page.
+ * @returns {string} The title
+ */
+function getPageTitle() {
+  return getMetadata('breadcrumb-title') || getMetadata('og:title') || document.title;
+}
+
+/**
+ * Builds the trail from the path segments of the current page, e.g. /products/shoes
+ * becomes Products, Shoes.
+ * @returns {object[]} The ancestors of the current page with title and href
+ */
+function getPathTrail() {
+  const prefix = getLocalePrefix();
+  const segments = window.location.pathname.substring(prefix.length).split('/').filter((s) => s);
+  return segments.slice(0, -1).map((segment, i) => {
+    const title = decodeURIComponent(segment).replace(/[-_]+/g, ' ');
+    return {
+      title: `${title.charAt(0).toUpperCase()}${title.substring(1)}`,
+      href: `${prefix}/${segments.slice(0, i + 1).join('/')}`,
+    };
+  });
+}
+
+/**
+ * Builds the trail from the nav hierarchy the current page is in.
+ * @returns {Promise<object[]>} The ancestors and the current page with title and href,
+ * or null if the page is not in the nav
+ */
+async function getNavigationTrail() {
+  const nav = await fetchNav();
+  const active = nav && findActiveLink(nav);
+  if (!active) return null;
+  const trail = getNavTrail(active.link);
+  const title = active.link.textContent.trim();
+  if (active.exact) {
+    trail.push({ title: getMetadata('breadcrumb-title') || title });
+  } else {
+    // pages below a nav entry have it as their closest ancestor
+    trail.push({
+      title,
+      href: new URL(active.link.getAttribute('href'), window.location).pathname,
+    });
+    trail.push({ title: getPageTitle() });
+  }
+  return trail;
+}
+
+/**
+ * Publishes the trail as BreadcrumbList structured data.
+ * @param {object[]} crumbs The crumbs with title and href, the current page last
+ */
+function updateStructuredData(crumbs) {
+  let script = document.head.querySelector('script[data-breadcrumbs]');
+  if (!script) {
+    script = document.createElement('script');
+    script.type = 'application/ld+json';
+    script.dataset.breadcrumbs = '';
+    document.head.append(script);
+  }
+  script.textContent = JSON.stringify({
+    '@context': 'https://schema.org',
+    '@type': 'BreadcrumbList',
+    itemListElement: crumbs.map((crumb, i) => {
+      const item = { '@type': 'ListItem', position: i + 1, name: crumb.title };
+      // sections without a page of their own have no URL
+      const href = i === crumbs.length - 1 ? window.location.pathname : crumb.href;
+      if (href) item.item = new URL(href, window.location).href;
+      return item;
+    }),
+  });
+}
+
+/**
+ * Renders the crumbs into the block.
+ * @param {Element} block The breadcrumbs block
+ * @param {object[]} crumbs The crumbs with title and href, the current page last
+ */
+function renderCrumbs(block, crumbs) {
+  const list = document.createElement('ol');
+  crumbs.forEach((crumb, i) => {
+    const li = document.createElement('li');
+    if (i === crumbs.length - 1) {
+      li.setAttribute('aria-current', 'page');
+      li.textContent = crumb.title;
+    } else if (crumb.href) {
+      const a = document.createElement('a');
+      a.href = crumb.href;
+      a.textContent = crumb.title;
+      li.append(a);
+    } else {
+      li.textContent = crumb.title;
+    }
+    list.append(li);
+  });
+  block.querySelector('nav').replaceChildren(list);
+  updateStructuredData(crumbs);
+}
+
+export default async function decorate(block) {
+  const translate = await loadPlaceholders();
+  const home = { title: translate('breadcrumbsHome', 'Home'), href: `${getLocalePrefix()}/` };
+
+  const nav = document.createElement('nav');
+  nav.setAttribute('aria-label', translate('breadcrumbs', 'Breadcrumbs'));
+  block.replaceChildren(nav);
+
+  // render from the URL right away, so that loading the nav does not delay the section
+  renderCrumbs(block, [home, ...getPathTrail(), { title: getPageTitle() }]);
+  getNavigationTrail().then((trail) => {
+    if (trail) renderCrumbs(block, [home, ...trail]);
+  });
+}
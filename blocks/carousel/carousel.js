@@ -1,92 +1,401 @@
-import { fetchPlaceholders } from '../../scripts/aem.js';
 import { moveInstrumentation } from '../../scripts/scripts.js';
+import { loadPlaceholders } from '../../scripts/placeholders.js';
+
+// time a slide is shown before the next one, overridden by an autoplay-<seconds> variant
+const AUTOPLAY_INTERVAL = 5000;
+// distance a mouse or pen must be dragged to change the slide
+const SWIPE_THRESHOLD = 50;
+// time without scrolling after which a scroll is considered finished
+const SCROLL_END_DELAY = 100;
+
+const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+// breakpoints at which the number of items per view of multi-item carousels changes
+const breakpoints = ['(width >= 600px)', '(width >= 900px)'].map((query) => window.matchMedia(query));
+
+/**
+ * Gets the slides of a carousel, without the clones used for looping.
+ * @param {Element} block The carousel block
+ * @returns {NodeList} The slides
+ */
+function getSlides(block) {
+  return block.querySelectorAll('.carousel-slide:not(.carousel-slide-clone)');
+}
+
+/**
+ * Gets the number of slides shown side by side, set per breakpoint by the items-<n> variants.
+ * @param {Element} block The carousel block
+ * @returns {number} The number of visible slides
+ */
+function getItemsPerView(block) {
+  return parseInt(getComputedStyle(block).getPropertyValue('--carousel-items'), 10) || 1;
+}
+
+/**
+ * Gets the number of slides the previous and next buttons move by: a page of slides,
+ * or a single slide with the scroll-by-item variant.
+ * @param {Element} block The carousel block
+ * @returns {number} The number of slides
+ */
+function getStep(block) {
+  return block.classList.contains('scroll-by-item') ? 1 : getItemsPerView(block);
+}
 
 function updateActiveSlide(slide) {
   const block = slide.closest('.carousel');
   const slideIndex = parseInt(slide.dataset.slideIndex, 10);
   block.dataset.activeSlide = slideIndex;
 
-  const slides = block.querySelectorAll('.carousel-slide');
+  const slides = getSlides(block);
+  const itemsPerView = getItemsPerView(block);
 
+  // slides out of view cannot be focused or read, whatever they contain
   slides.forEach((aSlide, idx) => {
-    aSlide.setAttribute('aria-hidden', idx !== slideIndex);
-    aSlide.querySelectorAll('a').forEach((link) => {
-      if (idx !== slideIndex) {
-        link.setAttribute('tabindex', '-1');
-      } else {
-        link.removeAttribute('tabindex');
-      }
-    });
+    const hidden = idx < slideIndex || idx >= slideIndex + itemsPerView;
+    aSlide.setAttribute('aria-hidden', hidden);
+    aSlide.toggleAttribute('inert', hidden);
   });
 
+  // the last page may start before a multiple of the items per view, as it cannot scroll further
   const indicators = block.querySelectorAll('.carousel-slide-indicator');
+  const page = Math.min(indicators.length - 1, Math.ceil(slideIndex / itemsPerView));
   indicators.forEach((indicator, idx) => {
-    if (idx !== slideIndex) {
-      indicator.querySelector('button').removeAttribute('disabled');
-    } else {
-      indicator.querySelector('button').setAttribute('disabled', 'true');
-    }
+    const tab = indicator.querySelector('button');
+    tab.setAttribute('aria-selected', idx === page);
+    tab.setAttribute('tabindex', idx === page ? '0' : '-1');
   });
 }
 
-export function showSlide(block, slideIndex = 0) {
-  const slides = block.querySelectorAll('.carousel-slide');
+/**
+ * Scrolls a carousel to a slide, the first of the visible slides. Indexes beyond the first
+ * or last slide wrap around, looping carousels move on to the clones next to the edge first.
+ * @param {Element} block The carousel block
+ * @param {number} [slideIndex] The index of the slide
+ * @param {string} [behavior] The scroll behavior, "smooth" or "instant"
+ */
+export function showSlide(block, slideIndex = 0, behavior = 'smooth') {
+  const slides = getSlides(block);
+  const loop = block.classList.contains('loop');
   let realSlideIndex = slideIndex < 0 ? slides.length - 1 : slideIndex;
   if (slideIndex >= slides.length) realSlideIndex = 0;
+  if (loop) realSlideIndex = ((slideIndex % slides.length) + slides.length) % slides.length;
   const activeSlide = slides[realSlideIndex];
+  let target = activeSlide;
+  if (loop && realSlideIndex !== slideIndex) {
+    const clones = block.querySelectorAll(`.carousel-slide-clone[data-slide-index="${realSlideIndex}"]`);
+    target = slideIndex < 0 ? clones[0] : clones[clones.length - 1];
+  }
 
-  activeSlide.querySelectorAll('a').forEach((link) => link.removeAttribute('tabindex'));
+  activeSlide.removeAttribute('inert');
   block.querySelector('.carousel-slides').scrollTo({
     top: 0,
-    left: activeSlide.offsetLeft,
-    behavior: 'smooth',
+    left: target.offsetLeft,
+    behavior,
   });
 }
 
-function bindEvents(block) {
+/**
+ * Gets the slide a URL hash links to, e.g. #slideIndex=2 for the third slide of the first
+ * carousel of the page or #carousel=carousel-2&slideIndex=2 for the third slide of another one.
+ * @param {Element} block The carousel block
+ * @returns {number} The index of the slide, or -1 if the hash does not link to a slide
+ */
+function getLinkedSlide(block) {
+  const params = new URLSearchParams(window.location.hash.substring(1));
+  const slideIndex = parseInt(params.get('slideIndex'), 10);
+  const carousel = params.get('carousel');
+  if (Number.isNaN(slideIndex) || slideIndex < 0) return -1;
+  if (slideIndex >= getSlides(block).length) return -1;
+  if (carousel ? carousel !== block.id : block !== document.querySelector('.carousel')) return -1;
+  return slideIndex;
+}
+
+/**
+ * Clones the first and last slides to the opposite edges, so that the carousel can
+ * scroll past its last slides to the first ones and the other way around.
+ * @param {Element} slidesWrapper The slides container
+ * @param {number} count The number of slides to clone at each edge
+ */
+function cloneEdgeSlides(slidesWrapper, count) {
+  const clone = (slide) => {
+    const copy = slide.cloneNode(true);
+    copy.classList.add('carousel-slide-clone');
+    copy.setAttribute('aria-hidden', 'true');
+    copy.setAttribute('inert', '');
+    [copy, ...copy.querySelectorAll('*')].forEach((el) => {
+      el.removeAttribute('id');
+      el.removeAttribute('aria-labelledby');
+      [...el.attributes]
+        .filter(({ name }) => name.startsWith('data-aue-') || name.startsWith('data-richtext-'))
+        .forEach(({ name }) => el.removeAttribute(name));
+    });
+    return copy;
+  };
+  const slides = [...slidesWrapper.children];
+  const edge = Math.min(count, slides.length);
+  slidesWrapper.prepend(...slides.slice(-edge).map(clone));
+  slidesWrapper.append(...slides.slice(0, edge).map(clone));
+}
+
+/**
+ * Jumps from a clone to the slide it copies, once the carousel stopped scrolling.
+ * @param {Element} block The carousel block
+ */
+function bindLoop(block) {
+  const slidesWrapper = block.querySelector('.carousel-slides');
+  let scrollEnd;
+  slidesWrapper.addEventListener('scroll', () => {
+    clearTimeout(scrollEnd);
+    scrollEnd = setTimeout(() => {
+      const clone = [...block.querySelectorAll('.carousel-slide-clone')]
+        .find((c) => Math.abs(c.offsetLeft - slidesWrapper.scrollLeft) < c.offsetWidth / 2);
+      if (clone) showSlide(block, parseInt(clone.dataset.slideIndex, 10), 'instant');
+    }, SCROLL_END_DELAY);
+  }, { passive: true });
+}
+
+/**
+ * Changes the slide when the slides are dragged with a mouse or pen.
+ * Touch devices swipe through the slides by scrolling natively.
+ * @param {Element} block The carousel block
+ */
+function bindSwipe(block) {
+  const slidesWrapper = block.querySelector('.carousel-slides');
+  let startX = null;
+  let swiped = false;
+
+  slidesWrapper.addEventListener('pointerdown', (e) => {
+    if (e.pointerType === 'touch' || e.button !== 0) return;
+    startX = e.clientX;
+    swiped = false;
+  });
+  slidesWrapper.addEventListener('pointerup', (e) => {
+    if (startX === null) return;
+    const distance = e.clientX - startX;
+    startX = null;
+    if (Math.abs(distance) < SWIPE_THRESHOLD) return;
+    swiped = true;
+    const forward = getComputedStyle(block).direction === 'rtl' ? distance > 0 : distance < 0;
+    const step = getStep(block);
+    showSlide(block, parseInt(block.dataset.activeSlide, 10) + (forward ? step : -step));
+  });
+  slidesWrapper.addEventListener('pointercancel', () => { startX = null; });
+  // the end of a swipe is not a click on the slide's links
+  slidesWrapper.addEventListener('click', (e) => {
+    if (!swiped) return;
+    swiped = false;
+    e.preventDefault();
+    e.stopPropagation();
+  }, true);
+  // dragging images and links would cancel the pointer events
+  slidesWrapper.addEventListener('dragstart', (e) => e.preventDefault());
+}
+
+/**
+ * Shows the slides one after another, with a control to stop and start the rotation.
+ * The rotation starts stopped if the user prefers reduced motion, and pauses while
+ * the carousel is hovered or has the focus.
+ * @param {Element} block The carousel block
+ * @param {function} translate Returns the text of a placeholder
+ */
+function bindAutoplay(block, translate) {
+  const variant = [...block.classList].map((c) => c.match(/^autoplay-(\d+)$/)).find((m) => m);
+  const interval = variant ? parseInt(variant[1], 10) * 1000 : AUTOPLAY_INTERVAL;
+  let stopped = prefersReducedMotion.matches;
+  let hovered = false;
+  let focused = false;
+  let timer;
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'carousel-autoplay-toggle';
+  block.prepend(toggle);
+
+  const update = () => {
+    clearInterval(timer);
+    const playing = !stopped && !hovered && !focused && !document.hidden;
+    if (playing) {
+      timer = setInterval(() => {
+        showSlide(block, parseInt(block.dataset.activeSlide, 10) + getStep(block));
+      }, interval);
+    }
+    block.dataset.autoplay = playing ? 'playing' : 'paused';
+    // announcing every slide while they rotate would be disruptive
+    block.querySelector('.carousel-slides').setAttribute('aria-live', playing ? 'off' : 'polite');
+    toggle.classList.toggle('stopped', stopped);
+    toggle.setAttribute('aria-label', stopped
+      ? translate('startCarousel', 'Start automatic slide show')
+      : translate('stopCarousel', 'Stop automatic slide show'));
+  };
+
+  toggle.addEventListener('click', () => {
+    stopped = !stopped;
+    // starting the rotation explicitly overrides the pause on hover and focus
+    if (!stopped) {
+      hovered = false;
+      focused = false;
+    }
+    update();
+  });
+  block.addEventListener('pointerenter', (e) => {
+    if (e.pointerType !== 'mouse') return;
+    hovered = true;
+    update();
+  });
+  block.addEventListener('pointerleave', () => {
+    hovered = false;
+    update();
+  });
+  block.addEventListener('focusin', () => {
+    focused = true;
+    update();
+  });
+  block.addEventListener('focusout', (e) => {
+    if (block.contains(e.relatedTarget)) return;
+    focused = false;
+    update();
+  });
+  document.addEventListener('visibilitychange', update);
+  prefersReducedMotion.addEventListener('change', () => {
+    if (prefersReducedMotion.matches) stopped = true;
+    update();
+  });
+  update();
+}
+
+/**
+ * Renders one indicator per page of slides.
+ * @param {Element} block The carousel block
+ * @param {function} translate Returns the text of a placeholder
+ */
+function renderIndicators(block, translate) {
+  const slideIndicators = block.querySelector('.carousel-slide-indicators');
+  const count = getSlides(block).length;
+  const itemsPerView = getItemsPerView(block);
+  const pages = Math.ceil(count / itemsPerView);
+  slideIndicators.replaceChildren(...[...Array(pages).keys()].map((idx) => {
+    const indicator = document.createElement('li');
+    indicator.classList.add('carousel-slide-indicator');
+    indicator.dataset.targetSlide = Math.max(0, Math.min(idx * itemsPerView, count - itemsPerView));
+    // sites translating the former showSlide and of placeholders keep their labels
+    const slideLabel = `${translate('showSlide', 'Show Slide')} {index} ${translate('of', 'of')} {count}`;
+    const label = itemsPerView > 1
+      ? translate('carouselShowPage', 'Show Page {index} of {count}', { index: idx + 1, count: pages })
+      : translate('carouselShowSlide', slideLabel, { index: idx + 1, count });
+    indicator.setAttribute('role', 'presentation');
+    // each tab controls the slides of its page
+    const target = parseInt(indicator.dataset.targetSlide, 10);
+    const controls = [...getSlides(block)].slice(target, target + itemsPerView).map(({ id }) => id);
+    indicator.innerHTML = `<button type="button" role="tab" aria-selected="false" tabindex="-1" aria-controls="${controls.join(' ')}" aria-label="${label}"></button>`;
+    return indicator;
+  }));
+  // hide navigation that has nothing to navigate to
+  block.classList.toggle('single-page', pages < 2);
+}
+
+function bindEvents(block, translate) {
   const slideIndicators = block.querySelector('.carousel-slide-indicators');
   if (!slideIndicators) return;
 
-  slideIndicators.querySelectorAll('button').forEach((button) => {
-    button.addEventListener('click', (e) => {
-      const slideIndicator = e.currentTarget.parentElement;
-      showSlide(block, parseInt(slideIndicator.dataset.targetSlide, 10));
-    });
+  renderIndicators(block, translate);
+  slideIndicators.addEventListener('click', (e) => {
+    const slideIndicator = e.target.closest('.carousel-slide-indicator');
+    if (slideIndicator) showSlide(block, parseInt(slideIndicator.dataset.targetSlide, 10));
   });
+  // arrow keys move between the indicators and show the slides they control
+  slideIndicators.addEventListener('keydown', (e) => {
+    const tabs = [...slideIndicators.querySelectorAll('[role="tab"]')];
+    const idx = tabs.indexOf(e.target);
+    if (idx < 0) return;
+    const rtl = getComputedStyle(block).direction === 'rtl';
+    const moves = {
+      ArrowLeft: rtl ? 1 : -1,
+      ArrowRight: rtl ? -1 : 1,
+      Home: -idx,
+      End: tabs.length - 1 - idx,
+    };
+    if (!(e.key in moves)) return;
+    e.preventDefault();
+    const tab = tabs[(idx + moves[e.key] + tabs.length) % tabs.length];
+    tabs.forEach((t) => t.setAttribute('tabindex', t === tab ? '0' : '-1'));
+    tab.focus();
+    tab.click();
+  });
+  breakpoints.forEach((breakpoint) => breakpoint.addEventListener('change', () => {
+    renderIndicators(block, translate);
+    const slide = getSlides(block)[parseInt(block.dataset.activeSlide, 10)];
+    if (slide) updateActiveSlide(slide);
+  }));
 
   block.querySelector('.slide-prev').addEventListener('click', () => {
-    showSlide(block, parseInt(block.dataset.activeSlide, 10) - 1);
+    showSlide(block, parseInt(block.dataset.activeSlide, 10) - getStep(block));
   });
   block.querySelector('.slide-next').addEventListener('click', () => {
-    showSlide(block, parseInt(block.dataset.activeSlide, 10) + 1);
+    showSlide(block, parseInt(block.dataset.activeSlide, 10) + getStep(block));
   });
 
+  // the first visible slide is the active one
+  const visibleSlides = new Set();
   const slideObserver = new IntersectionObserver((entries) => {
     entries.forEach((entry) => {
-      if (entry.isIntersecting) updateActiveSlide(entry.target);
+      if (entry.isIntersecting) visibleSlides.add(entry.target);
+      else visibleSlides.delete(entry.target);
     });
+    const firstVisible = [...block.querySelectorAll('.carousel-slide')]
+      .find((slide) => visibleSlides.has(slide));
+    if (firstVisible) updateActiveSlide(firstVisible);
   }, { threshold: 0.5 });
   block.querySelectorAll('.carousel-slide').forEach((slide) => {
     slideObserver.observe(slide);
   });
+
+  // start on the linked slide, or on the first slide rather than the clone before it
+  const linkedSlide = getLinkedSlide(block);
+  updateActiveSlide(getSlides(block)[Math.max(linkedSlide, 0)]);
+  if ((linkedSlide >= 0 || block.classList.contains('loop')) && window.ResizeObserver) {
+    // slides can only be scrolled to once the section is shown
+    const layoutObserver = new ResizeObserver(() => {
+      if (!block.offsetWidth) return;
+      layoutObserver.disconnect();
+      if (linkedSlide >= 0) block.scrollIntoView();
+      showSlide(block, parseInt(block.dataset.activeSlide, 10), 'instant');
+    });
+    layoutObserver.observe(block);
+  }
+  window.addEventListener('hashchange', () => {
+    const slideIndex = getLinkedSlide(block);
+    if (slideIndex < 0) return;
+    block.scrollIntoView();
+    showSlide(block, slideIndex);
+  });
+
+  if (block.classList.contains('loop')) bindLoop(block);
+  bindSwipe(block);
 }
 
-function createSlide(row, slideIndex, carouselId) {
-  const slide = document.createElement('li');
+/**
+ * Creates a slide from a row of the block.
+ * @param {Element} row The row
+ * @param {number} slideIndex The index of the slide
+ * @param {number} carouselId The id of the carousel
+ * @param {object} label The role description and position of the slide
+ * @param {boolean} tabbed Whether the slide is shown through indicator tabs
+ * @returns {Element} The slide
+ */
+function createSlide(row, slideIndex, carouselId, label, tabbed) {
+  const slide = document.createElement('div');
   slide.dataset.slideIndex = slideIndex;
   slide.setAttribute('id', `carousel-${carouselId}-slide-${slideIndex}`);
   slide.classList.add('carousel-slide');
+  // the tabbed carousel pattern, a group if there is a single slide and so no tabs
+  slide.setAttribute('role', tabbed ? 'tabpanel' : 'group');
+  slide.setAttribute('aria-roledescription', label.roleDescription);
+  slide.setAttribute('aria-label', label.position);
 
   row.querySelectorAll(':scope > div').forEach((column, colIdx) => {
     column.classList.add(`carousel-slide-${colIdx === 0 ? 'image' : 'content'}`);
     slide.append(column);
   });
 
-  const labeledBy = slide.querySelector('h1, h2, h3, h4, h5, h6');
-  if (labeledBy) {
-    slide.setAttribute('aria-labelledby', labeledBy.getAttribute('id'));
-  }
-
   return slide;
 }
 
@@ -97,49 +406,56 @@ export default async function decorate(block) {
   const rows = block.querySelectorAll(':scope > div');
   const isSingleSlide = rows.length < 2;
 
-  const placeholders = await fetchPlaceholders();
+  const translate = await loadPlaceholders();
 
   block.setAttribute('role', 'region');
-  block.setAttribute('aria-roledescription', placeholders.carousel || 'Carousel');
+  block.setAttribute('aria-roledescription', translate('carousel', 'Carousel'));
+  // named by the heading right before it, or else by a placeholder
+  const previous = block.parentElement.previousElementSibling;
+  const heading = previous?.classList.contains('default-content-wrapper')
+    ? previous.lastElementChild
+    : previous;
+  if (heading && /^H[1-6]$/.test(heading.tagName) && heading.id) {
+    block.setAttribute('aria-labelledby', heading.id);
+  } else {
+    block.setAttribute('aria-label', translate('carouselLabel', 'Featured content'));
+  }
 
   const container = document.createElement('div');
   container.classList.add('carousel-slides-container');
 
-  const slidesWrapper = document.createElement('ul');
+  const slidesWrapper = document.createElement('div');
+  slidesWrapper.id = `carousel-${carouselId}-slides`;
   slidesWrapper.classList.add('carousel-slides');
+  slidesWrapper.setAttribute('aria-live', 'polite');
+  slidesWrapper.setAttribute('aria-atomic', 'false');
   block.prepend(slidesWrapper);
 
   let slideIndicators;
   if (!isSingleSlide) {
-    const slideIndicatorsNav = document.createElement('nav');
-    slideIndicatorsNav.setAttribute('aria-label', placeholders.carouselSlideControls || 'Carousel Slide Controls');
     slideIndicators = document.createElement('ol');
     slideIndicators.classList.add('carousel-slide-indicators');
-    slideIndicatorsNav.append(slideIndicators);
-    block.append(slideIndicatorsNav);
+    slideIndicators.setAttribute('role', 'tablist');
+    slideIndicators.setAttribute('aria-label', translate('carouselSlideControls', 'Carousel Slide Controls'));
+    block.append(slideIndicators);
 
     const slideNavButtons = document.createElement('div');
     slideNavButtons.classList.add('carousel-navigation-buttons');
     slideNavButtons.innerHTML = `
-      <button type="button" class= "slide-prev" aria-label="${placeholders.previousSlide || 'Previous Slide'}"></button>
-      <button type="button" class="slide-next" aria-label="${placeholders.nextSlide || 'Next Slide'}"></button>
+      <button type="button" class= "slide-prev" aria-controls="${slidesWrapper.id}" aria-label="${translate('previousSlide', 'Previous Slide')}"></button>
+      <button type="button" class="slide-next" aria-controls="${slidesWrapper.id}" aria-label="${translate('nextSlide', 'Next Slide')}"></button>
     `;
 
     container.append(slideNavButtons);
   }
 
   rows.forEach((row, idx) => {
-    const slide = createSlide(row, idx, carouselId);
+    const slide = createSlide(row, idx, carouselId, {
+      roleDescription: translate('carouselSlide', 'Slide'),
+      position: translate('carouselSlidePosition', '{index} of {count}', { index: idx + 1, count: rows.length }),
+    }, !isSingleSlide);
     moveInstrumentation(row, slide);
     slidesWrapper.append(slide);
-
-    if (slideIndicators) {
-      const indicator = document.createElement('li');
-      indicator.classList.add('carousel-slide-indicator');
-      indicator.dataset.targetSlide = idx;
-      indicator.innerHTML = `<button type="button" aria-label="${placeholders.showSlide || 'Show Slide'} ${idx + 1} ${placeholders.of || 'of'} ${rows.length}"></button>`;
-      slideIndicators.append(indicator);
-    }
     row.remove();
   });
 
@@ -147,6 +463,14 @@ export default async function decorate(block) {
   block.prepend(container);
 
   if (!isSingleSlide) {
-    bindEvents(block);
+    if (block.classList.contains('loop')) {
+      // enough clones to fill a view at the largest breakpoint
+      const items = [...block.classList].map((c) => c.match(/^items-(\d+)$/)).find((m) => m);
+      cloneEdgeSlides(slidesWrapper, items ? parseInt(items[1], 10) : 1);
+    }
+    bindEvents(block, translate);
+    if ([...block.classList].some((c) => c === 'autoplay' || c.startsWith('autoplay-'))) {
+      bindAutoplay(block, translate);
+    }
   }
 }
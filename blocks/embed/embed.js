@@ -4,6 +4,12 @@
  * https://www.hlx.live/developer/block-collection/embed
  */
 
+import { hasConsent, onConsent, setConsent } from '../../scripts/consent.js';
+import { loadPlaceholders } from '../../scripts/placeholders.js';
+import { createPlayer, findProvider } from '../../scripts/video-providers.js';
+import trackVideo from '../../scripts/video-tracking.js';
+import { fetchOEmbed, findOEmbedProvider, renderOEmbed } from './oembed.js';
+
 const loadScript = (url, callback, type) => {
   const head = document.querySelector('head');
   const script = document.createElement('script');
@@ -16,39 +22,12 @@ const loadScript = (url, callback, type) => {
   return script;
 };
 
-const getDefaultEmbed = (url) => `<div style="left: 0; width: 100%; height: 0; position: relative; padding-bottom: 56.25%;">
-    <iframe src="${url.href}" style="border: 0; top: 0; left: 0; width: 100%; height: 100%; position: absolute;" allowfullscreen=""
+const getDefaultEmbed = (url) => `<div class="embed-frame">
+    <iframe src="${url.href}" allowfullscreen=""
       scrolling="no" allow="encrypted-media" title="Content from ${url.hostname}" loading="lazy">
     </iframe>
   </div>`;
 
-const embedYoutube = (url, autoplay) => {
-  const usp = new URLSearchParams(url.search);
-  const suffix = autoplay ? '&muted=1&autoplay=1' : '';
-  let vid = usp.get('v') ? encodeURIComponent(usp.get('v')) : '';
-  const embed = url.pathname;
-  if (url.origin.includes('youtu.be')) {
-    [, vid] = url.pathname.split('/');
-  }
-  const embedHTML = `<div style="left: 0; width: 100%; height: 0; position: relative; padding-bottom: 56.25%;">
-      <iframe src="https://www.youtube.com${vid ? `/embed/${vid}?rel=0&v=${vid}${suffix}` : embed}" style="border: 0; top: 0; left: 0; width: 100%; height: 100%; position: absolute;" 
-      allow="autoplay; fullscreen; picture-in-picture; encrypted-media; accelerometer; gyroscope; picture-in-picture" allowfullscreen="" scrolling="no" title="Content from Youtube" loading="lazy"></iframe>
-    </div>`;
-  return embedHTML;
-};
-
-const embedVimeo = (url, autoplay) => {
-  const [, video] = url.pathname.split('/');
-  const suffix = autoplay ? '?muted=1&autoplay=1' : '';
-  const embedHTML = `<div style="left: 0; width: 100%; height: 0; position: relative; padding-bottom: 56.25%;">
-      <iframe src="https://player.vimeo.com/video/${video}${suffix}" 
-      style="border: 0; top: 0; left: 0; width: 100%; height: 100%; position: absolute;" 
-      frameborder="0" allow="autoplay; fullscreen; picture-in-picture" allowfullscreen  
-      title="Content from Vimeo" loading="lazy"></iframe>
-    </div>`;
-  return embedHTML;
-};
-
 const embedTwitter = (url) => {
   if (!url.href.startsWith('https://twitter.com')) {
     url.href = url.href.replace('https://x.com', 'https://twitter.com');
@@ -58,27 +37,68 @@ const embedTwitter = (url) => {
   return embedHTML;
 };
 
+const EMBEDS_CONFIG = [
+  {
+    match: ['twitter', 'x.com'],
+    embed: embedTwitter,
+    label: 'X',
+    category: 'social',
+  },
+];
+
+/**
+ * Gets the vendor of an embed and the consent category its content requires.
+ * @param {URL} url The embed URL
+ * @returns {object} The vendor with label and category, the category is null for own content
+ */
+const getVendor = (url) => {
+  const config = EMBEDS_CONFIG.find((e) => e.match.some((match) => url.href.includes(match)));
+  if (config) return { label: config.label, category: config.category };
+  const oembedProvider = findOEmbedProvider(url);
+  if (oembedProvider) return { label: oembedProvider.label, category: oembedProvider.category };
+  const provider = findProvider(url);
+  if (url.origin === window.location.origin) {
+    return { label: provider ? provider.label : url.hostname, category: null };
+  }
+  if (provider && provider.name !== 'native') return { label: provider.label, category: 'video' };
+  return { label: url.hostname, category: 'embed' };
+};
+
 const loadEmbed = (block, link, autoplay) => {
   if (block.classList.contains('embed-is-loaded')) {
     return;
   }
 
-  const EMBEDS_CONFIG = [
-    {
-      match: ['youtube', 'youtu.be'],
-      embed: embedYoutube,
-    },
-    {
-      match: ['vimeo'],
-      embed: embedVimeo,
-    },
-    {
-      match: ['twitter', 'x.com'],
-      embed: embedTwitter,
-    },
-  ];
-  const config = EMBEDS_CONFIG.find((e) => e.match.some((match) => link.includes(match)));
+  const player = createPlayer(link, { autoplay });
+  if (player) {
+    trackVideo(block, player);
+    block.replaceChildren(player.element);
+    block.classList = `block embed embed-${player.provider}`;
+    block.classList.add('embed-is-loaded');
+    return;
+  }
+
   const url = new URL(link);
+  const oembedProvider = findOEmbedProvider(url);
+  if (oembedProvider) {
+    block.classList = `block embed embed-${oembedProvider.name}`;
+    block.classList.add('embed-is-loaded');
+    fetchOEmbed(url, oembedProvider, block.offsetWidth)
+      .then((data) => data && renderOEmbed(data, oembedProvider))
+      // e.g. the sanitizer or the script of the provider failed to load
+      .catch(() => null)
+      .then((container) => {
+        if (container) {
+          block.replaceChildren(container);
+        } else {
+          // most providers do not allow framing their pages, so unresolved links stay links
+          block.innerHTML = `<p><a href="${url.href}">${oembedProvider.label}</a></p>`;
+        }
+      });
+    return;
+  }
+
+  const config = EMBEDS_CONFIG.find((e) => e.match.some((match) => link.includes(match)));
   if (config) {
     block.innerHTML = config.embed(url, autoplay);
     block.classList = `block embed embed-${config.match[0]}`;
@@ -89,11 +109,7 @@ const loadEmbed = (block, link, autoplay) => {
   block.classList.add('embed-is-loaded');
 };
 
-export default function decorate(block) {
-  const placeholder = block.querySelector('picture');
-  const link = block.querySelector('a').href;
-  block.textContent = '';
-
+const showEmbed = (block, link, placeholder) => {
   if (placeholder) {
     const wrapper = document.createElement('div');
     wrapper.className = 'embed-placeholder';
@@ -112,4 +128,63 @@ export default function decorate(block) {
     });
     observer.observe(block);
   }
+};
+
+/**
+ * Builds the facade shown instead of third-party content until its vendor is consented to.
+ * @param {object} vendor The vendor with label and category
+ * @param {Element} placeholder The thumbnail picture, if authored
+ * @param {function} translate The placeholder translation function
+ * @param {function} onLoad Called when the visitor chooses to load the content
+ * @returns {Element} The facade
+ */
+const buildFacade = (vendor, placeholder, translate, onLoad) => {
+  const facade = document.createElement('div');
+  facade.className = 'embed-facade';
+  if (placeholder) facade.append(placeholder.cloneNode(true));
+
+  const content = document.createElement('div');
+  content.className = 'embed-facade-content';
+  const provider = document.createElement('p');
+  provider.className = 'embed-facade-provider';
+  provider.textContent = vendor.label;
+  const notice = document.createElement('p');
+  notice.textContent = translate(
+    'embedConsentNotice',
+    'This content is provided by {provider}. Loading it shares data with {provider}, which may set cookies.',
+    { provider: vendor.label },
+  );
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'button';
+  button.textContent = translate('embedConsentLoad', 'Load content');
+  button.addEventListener('click', onLoad);
+  content.append(provider, notice, button);
+  facade.append(content);
+  return facade;
+};
+
+export default async function decorate(block) {
+  const placeholder = block.querySelector('picture');
+  const link = block.querySelector('a').href;
+  block.textContent = '';
+
+  const vendor = getVendor(new URL(link));
+  if (!vendor.category || hasConsent(vendor.category)) {
+    showEmbed(block, link, placeholder);
+    return;
+  }
+
+  // nothing of the vendor loads before consent, loading one embed consents to its category
+  const translate = await loadPlaceholders();
+  let requested = false;
+  block.append(buildFacade(vendor, placeholder, translate, () => {
+    requested = true;
+    setConsent(vendor.category);
+  }));
+  onConsent(vendor.category, () => {
+    block.textContent = '';
+    if (requested) loadEmbed(block, link, true);
+    else showEmbed(block, link, placeholder);
+  });
 }
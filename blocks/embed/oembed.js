@@ -0,0 +1,224 @@
+/*
+ * oEmbed
+ * Resolves links of oEmbed providers to their embed markup, through the provider's endpoint
+ * or the site's oEmbed proxy, set as oembed-proxy metadata, e.g. for providers requiring tokens.
+ * https://oembed.com/
+ */
+
+import { getMetadata, loadScript } from '../../scripts/aem.js';
+
+// responses are cached for a day, unless they tell otherwise
+const DEFAULT_CACHE_AGE = 86400;
+const CACHE_PREFIX = 'oembed:';
+const requests = new Map();
+
+/**
+ * Checks whether a URL is on a host or its subdomains.
+ * @param {URL} url The URL
+ * @param {string[]} hosts The hosts, e.g. "instagram.com"
+ * @returns {boolean} Whether the URL is on one of the hosts
+ */
+const isOnHost = (url, hosts) => hosts
+  .some((host) => url.hostname === host || url.hostname.endsWith(`.${host}`));
+
+/**
+ * Builds the embed of a Google Maps link, which has no oEmbed endpoint.
+ * @param {URL} url The map URL, e.g. https://www.google.com/maps/place/<name>/@<lat>,<lng>,<zoom>z
+ * @returns {object} The oEmbed response, or null if the link shows no place
+ */
+const resolveGoogleMaps = (url) => {
+  let src = url.href;
+  if (!url.pathname.startsWith('/maps/embed')) {
+    const [, place] = url.pathname.match(/\/maps\/(?:place|search)\/([^/]+)/) || [];
+    const [, coordinates] = url.pathname.match(/@(-?[\d.]+,-?[\d.]+)/) || [];
+    const query = url.searchParams.get('q') || (place && decodeURIComponent(place.replace(/\+/g, ' '))) || coordinates;
+    if (!query) return null;
+    src = `https://maps.google.com/maps?q=${encodeURIComponent(query)}&output=embed`;
+  }
+  return {
+    type: 'rich',
+    width: 600,
+    height: 450,
+    html: `<iframe src="${src}" referrerpolicy="no-referrer-when-downgrade"></iframe>`,
+  };
+};
+
+/*
+ * Providers resolved through oEmbed, with the consent category of their content.
+ * Providers without endpoint are resolved through the proxy only, fixed height providers
+ * keep the height of their player at any width.
+ */
+export const OEMBED_PROVIDERS = [
+  {
+    name: 'instagram',
+    label: 'Instagram',
+    category: 'social',
+    match: (url) => isOnHost(url, ['instagram.com', 'instagr.am']),
+    // the Instagram endpoint requires an access token
+    endpoint: null,
+    onLoad: () => window.instgrm && window.instgrm.Embeds.process(),
+  },
+  {
+    name: 'tiktok',
+    label: 'TikTok',
+    category: 'social',
+    match: (url) => isOnHost(url, ['tiktok.com']),
+    endpoint: 'https://www.tiktok.com/oembed',
+  },
+  {
+    name: 'spotify',
+    label: 'Spotify',
+    category: 'media',
+    match: (url) => isOnHost(url, ['open.spotify.com', 'spotify.link']),
+    endpoint: 'https://open.spotify.com/oembed',
+    fixedHeight: true,
+  },
+  {
+    name: 'soundcloud',
+    label: 'SoundCloud',
+    category: 'media',
+    match: (url) => isOnHost(url, ['soundcloud.com', 'on.soundcloud.com']),
+    endpoint: 'https://soundcloud.com/oembed',
+    fixedHeight: true,
+  },
+  {
+    name: 'codepen',
+    label: 'CodePen',
+    category: 'embed',
+    match: (url) => isOnHost(url, ['codepen.io']),
+    endpoint: 'https://codepen.io/api/oembed',
+  },
+  {
+    name: 'googlemaps',
+    label: 'Google Maps',
+    category: 'embed',
+    match: (url) => isOnHost(url, ['maps.google.com'])
+      || (isOnHost(url, ['google.com']) && url.pathname.startsWith('/maps')),
+    resolve: resolveGoogleMaps,
+  },
+  {
+    name: 'figma',
+    label: 'Figma',
+    category: 'embed',
+    match: (url) => isOnHost(url, ['figma.com']),
+    endpoint: 'https://www.figma.com/api/oembed',
+  },
+];
+
+/**
+ * Finds the oEmbed provider of a URL.
+ * @param {URL} url The URL
+ * @returns {object} The provider, or undefined if the URL is not from an oEmbed provider
+ */
+export function findOEmbedProvider(url) {
+  return OEMBED_PROVIDERS.find((provider) => provider.match(url));
+}
+
+/**
+ * Gets a cached response.
+ * @param {string} key The cache key
+ * @returns {object} The response, or null if it is not cached or expired
+ */
+function getCached(key) {
+  try {
+    const cached = JSON.parse(sessionStorage.getItem(key));
+    return cached && cached.expires > Date.now() ? cached.data : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Caches a response for its cache age.
+ * @param {string} key The cache key
+ * @param {object} data The response
+ */
+function setCached(key, data) {
+  const age = Number(data.cache_age) || DEFAULT_CACHE_AGE;
+  try {
+    sessionStorage.setItem(key, JSON.stringify({ data, expires: Date.now() + age * 1000 }));
+  } catch (e) {
+    // the response is fetched again on the next page
+  }
+}
+
+/**
+ * Fetches the oEmbed response of a URL, once per session.
+ * @param {URL} url The URL
+ * @param {object} provider The oEmbed provider
+ * @param {number} [maxWidth] The maximum width of the embed
+ * @returns {Promise<object>} The response, or null if it could not be resolved
+ */
+export async function fetchOEmbed(url, provider, maxWidth) {
+  if (provider.resolve) return provider.resolve(url);
+
+  const proxy = getMetadata('oembed-proxy');
+  const endpoint = proxy || provider.endpoint;
+  if (!endpoint) return null;
+  const requestUrl = new URL(endpoint, window.location);
+  requestUrl.searchParams.set('url', url.href);
+  requestUrl.searchParams.set('format', 'json');
+  if (maxWidth) requestUrl.searchParams.set('maxwidth', Math.round(maxWidth));
+
+  const key = `${CACHE_PREFIX}${requestUrl.href}`;
+  const cached = getCached(key);
+  if (cached) return cached;
+  if (!requests.has(key)) {
+    requests.set(key, fetch(requestUrl)
+      .then((resp) => (resp.ok ? resp.json() : null))
+      .then((data) => {
+        if (data && data.html) setCached(key, data);
+        return data && data.html ? data : null;
+      })
+      .catch(() => null)
+      .finally(() => requests.delete(key)));
+  }
+  return requests.get(key);
+}
+
+/**
+ * Renders an oEmbed response into a container sized to it: iframes keep the aspect ratio
+ * of the response, fixed height players their height, other markup sizes itself.
+ * @param {object} data The oEmbed response
+ * @param {object} provider The oEmbed provider
+ * @returns {Promise<Element>} The container
+ */
+export async function renderOEmbed(data, provider) {
+  const template = document.createElement('template');
+  template.innerHTML = data.html;
+  // the provider's own scripts, e.g. to render social posts, are loaded separately
+  const scripts = [...template.content.querySelectorAll('script[src]')]
+    .map((script) => new URL(script.getAttribute('src'), window.location))
+    .filter((src) => src.protocol === 'https:' && provider.match(src));
+
+  await loadScript(`${window.hlx.codeBasePath}/scripts/dompurify.min.js`);
+  const container = document.createElement('div');
+  container.className = 'embed-oembed';
+  container.innerHTML = window.DOMPurify.sanitize(data.html, {
+    ADD_TAGS: ['iframe'],
+    ADD_ATTR: ['allow', 'allowfullscreen', 'frameborder', 'referrerpolicy', 'scrolling'],
+  });
+
+  const iframe = container.querySelector('iframe');
+  const width = Number(data.width);
+  const height = Number(data.height);
+  if (iframe) {
+    iframe.title = iframe.title || data.title || `Content from ${provider.label}`;
+    iframe.setAttribute('loading', 'lazy');
+    iframe.removeAttribute('width');
+    iframe.removeAttribute('height');
+    if (provider.fixedHeight && height) {
+      container.classList.add('embed-oembed-fixed');
+      container.style.height = `${height}px`;
+    } else if (width && height) {
+      container.classList.add('embed-oembed-responsive');
+      container.style.setProperty('--embed-aspect-ratio', `${width} / ${height}`);
+    }
+  }
+
+  scripts.forEach((src) => {
+    // without its script, the post stays the markup of the response
+    loadScript(src.href).then(() => provider.onLoad && provider.onLoad()).catch(() => {});
+  });
+  return container;
+}
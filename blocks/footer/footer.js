@@ -1,5 +1,6 @@
 import { getMetadata } from '../../scripts/aem.js';
-import { loadFragment } from '../fragment/fragment.js';
+import { getLocalizedFragmentPaths } from '../../scripts/i18n.js';
+import { loadFirstFragment } from '../fragment/fragment.js';
 
 /**
  * loads and decorates the footer
@@ -8,8 +9,11 @@ import { loadFragment } from '../fragment/fragment.js';
 export default async function decorate(block) {
   // load footer as fragment
   const footerMeta = getMetadata('footer');
-  const footerPath = footerMeta ? new URL(footerMeta, window.location).pathname : '/footer';
-  const fragment = await loadFragment(footerPath);
+  const footerPaths = footerMeta
+    ? [new URL(footerMeta, window.location).pathname]
+    : getLocalizedFragmentPaths('footer');
+  const fragment = await loadFirstFragment(footerPaths);
+  if (!fragment) return;
 
   // decorate footer DOM
   block.textContent = '';
@@ -10,32 +10,59 @@ import {
 
 import {
   loadSections,
+  sampleRUM,
 } from '../../scripts/aem.js';
+import { resolveAudience } from '../../scripts/audiences.js';
+import { fetchFragmentHtml, resetMediaBase } from '../../scripts/fragment-cache.js';
+
+// fragments nested deeper are not loaded
+const MAX_DEPTH = 5;
+const isDev = window.location.hostname.includes('localhost')
+  || window.location.hostname.endsWith('.aem.page');
+// decorated fragments, copied for each use
+const templates = new Map();
+
+/**
+ * Gets the decorated content of a fragment, decorated once per page.
+ * @param {string} path The path to the fragment
+ * @returns {Promise<HTMLElement>} The decorated, not yet loaded fragment to copy,
+ * or null if it could not be loaded
+ */
+function getTemplate(path) {
+  if (!templates.has(path)) {
+    templates.set(path, fetchFragmentHtml(path).then((html) => {
+      if (html === null) return null;
+      const main = document.createElement('main');
+      main.innerHTML = html;
+      resetMediaBase(main, path);
+
+      decorateMain(main);
+      return main;
+    }));
+  }
+  return templates.get(path);
+}
 
 /**
  * Loads a fragment.
  * @param {string} path The path to the fragment
+ * @param {string[]} [ancestors] The paths of the fragments the fragment is nested in
  * @returns {Promise<HTMLElement>} The root element of the fragment
  */
-export async function loadFragment(path) {
-  if (path && path.startsWith('/')) {
+export async function loadFragment(path, ancestors = []) {
+  if (path && path.startsWith('/') && !path.startsWith('//')) {
     // eslint-disable-next-line no-param-reassign
     path = path.replace(/(\.plain)?\.html/, '');
-    const resp = await fetch(`${path}.plain.html`);
-    if (resp.ok) {
-      const main = document.createElement('main');
-      main.innerHTML = await resp.text();
-
-      // reset base path for media to fragment base
-      const resetAttributeBase = (tag, attr) => {
-        main.querySelectorAll(`${tag}[${attr}^="./media_"]`).forEach((elem) => {
-          elem[attr] = new URL(elem.getAttribute(attr), new URL(path, window.location)).href;
-        });
-      };
-      resetAttributeBase('img', 'src');
-      resetAttributeBase('source', 'srcset');
-
-      decorateMain(main);
+    if (ancestors.includes(path) || ancestors.length >= MAX_DEPTH) {
+      // eslint-disable-next-line no-console
+      console.error(`Fragment ${path} is nested in itself or too deep`, ancestors);
+      return null;
+    }
+    const template = await getTemplate(path);
+    if (template) {
+      const main = template.cloneNode(true);
+      // nested fragments find the fragments they are in
+      main.dataset.fragmentPath = [...ancestors, path].join(' ');
       await loadSections(main);
       return main;
     }
@@ -43,16 +70,147 @@ export async function loadFragment(path) {
   return null;
 }
 
+/**
+ * Loads the first fragment found, e.g. of the page's locale or else of its fallbacks.
+ * @param {string[]} paths The paths to the fragments, in the order to try them
+ * @returns {Promise<HTMLElement>} The root element of the fragment, or null if none is found
+ */
+export function loadFirstFragment(paths) {
+  return paths.reduce(
+    (found, path) => found.then((fragment) => fragment || loadFragment(path)),
+    Promise.resolve(null),
+  );
+}
+
+/**
+ * Gets the whole content of a section.
+ * @param {Element} section The section
+ * @returns {object} The part with the section and its nodes
+ */
+function getSectionPart(section) {
+  return { section, nodes: [...section.childNodes] };
+}
+
+/**
+ * Selects the parts of a fragment to include, by the hash of the fragment link:
+ * #section-2 the second section, #all all sections, #block=cards the first cards block,
+ * #selector=.cards.featured the first element matching a selector, and #promo the section
+ * with the id, or containing the element with the id. Without hash, the first section.
+ * @param {Element} fragment The fragment
+ * @param {string} hash The hash of the fragment link, without #
+ * @returns {object[]} The parts with the section they are in and the nodes to include
+ */
+function selectParts(fragment, hash) {
+  const sections = [...fragment.querySelectorAll(':scope > .section')];
+  const selection = decodeURIComponent(hash);
+  if (!selection) return sections.slice(0, 1).map(getSectionPart);
+  if (selection === 'all') return sections.map(getSectionPart);
+  const [, index] = selection.match(/^section-(\d+)$/) || [];
+  if (index) return sections.slice(index - 1, Number(index)).map(getSectionPart);
+
+  let element;
+  if (selection.startsWith('block=')) {
+    const name = selection.substring('block='.length);
+    element = [...fragment.querySelectorAll('[data-block-name]')]
+      .find((block) => block.dataset.blockName === name);
+  } else if (selection.startsWith('selector=')) {
+    try {
+      element = fragment.querySelector(selection.substring('selector='.length));
+    } catch (e) {
+      // not a valid selector
+    }
+  } else {
+    element = sections.find((section) => section.dataset.id === selection)
+      || [...fragment.querySelectorAll('[id]')].find((e) => e.id === selection);
+  }
+  if (!element) return [];
+
+  const section = element.closest('.section');
+  if (!section || element === section || element.matches('h1, h2, h3, h4, h5, h6')) {
+    return section ? [getSectionPart(section)] : [];
+  }
+  // blocks come with their wrapper
+  const block = element.closest('.block');
+  const node = block ? block.parentElement : element;
+  return [{ section, nodes: [node] }];
+}
+
+/**
+ * Gets the classes of a section, such as those of its section metadata.
+ * @param {Element} section The section
+ * @returns {string[]} The classes
+ */
+function getSectionClasses(section) {
+  return [...section.classList].filter((c) => c !== 'section');
+}
+
+/**
+ * Gets the fragment reference of a cell, its link or its text.
+ * @param {Element} cell The cell
+ * @returns {string} The reference
+ */
+function getReference(cell) {
+  const link = cell.querySelector('a');
+  return link ? link.getAttribute('href') : cell.textContent.trim();
+}
+
+/**
+ * Resolves the fragment reference of a block. Personalized fragments have a row per variant
+ * with the audience conditions and the reference, and a row with the default reference.
+ * The resolution is recorded as audience checkpoint.
+ * @param {Element} block The fragment block
+ * @returns {Promise<string>} The reference, or null if the visitor gets no fragment
+ */
+async function resolveReference(block) {
+  const rows = [...block.querySelectorAll(':scope > div')];
+  const fallback = rows.find((row) => row.children.length < 2);
+  const defaultReference = fallback ? getReference(fallback) : null;
+  const variants = rows.filter((row) => row.children.length > 1).map((row) => ({
+    conditions: row.children[0].textContent.trim(),
+    reference: getReference(row.children[1]),
+  }));
+  if (!variants.length) return defaultReference;
+
+  const variant = await resolveAudience(variants);
+  const reference = variant ? variant.reference : defaultReference;
+  // the slot is named after its default, the variant after the fragment it resolved to
+  sampleRUM('audience', {
+    source: defaultReference || variants[0].reference,
+    target: reference || 'none',
+  });
+  return reference;
+}
+
 export default async function decorate(block) {
-  const link = block.querySelector('a');
-  const path = link ? link.getAttribute('href') : block.textContent.trim();
-  const fragment = await loadFragment(path);
+  const ref = await resolveReference(block);
+  if (!ref) {
+    block.replaceChildren();
+    return;
+  }
+  const [path, hash = ''] = ref.split('#');
+  const parent = block.closest('[data-fragment-path]');
+  const ancestors = parent ? parent.dataset.fragmentPath.split(' ') : [];
+  const fragment = await loadFragment(path, ancestors);
   if (fragment) {
-    const fragmentSection = fragment.querySelector(':scope .section');
-    if (fragmentSection) {
-      block.classList.add(...fragmentSection.classList);
-      block.classList.remove('section');
-      block.replaceChildren(...fragmentSection.childNodes);
+    const parts = selectParts(fragment, hash);
+    if (parts.length === 1) {
+      block.classList.add(...getSectionClasses(parts[0].section));
+      block.replaceChildren(...parts[0].nodes);
+    } else if (parts.length > 1) {
+      // each section keeps its classes
+      block.replaceChildren(...parts.map(({ section, nodes }) => {
+        const div = document.createElement('div');
+        div.classList.add('fragment-section', ...getSectionClasses(section));
+        div.append(...nodes);
+        return div;
+      }));
+    } else {
+      if (isDev) {
+        // eslint-disable-next-line no-console
+        console.warn(`Fragment ${path} has nothing matching #${hash}`);
+      }
+      // the reference is not content
+      block.replaceChildren();
     }
   }
 }
@@ -1,18 +1,108 @@
-import { getMetadata } from '../../scripts/aem.js';
-import { loadFragment } from '../fragment/fragment.js';
+import { buildLanguageSwitcher } from '../../scripts/i18n.js';
+import { findActiveLink, getHeaderOptions, getNavPaths } from '../../scripts/navigation.js';
+import { loadPlaceholders } from '../../scripts/placeholders.js';
+import { loadFirstFragment, loadFragment } from '../fragment/fragment.js';
 
 // media query match that indicates mobile/tablet width
 const isDesktop = window.matchMedia('(min-width: 900px)');
 
+// delays before opening and closing a dropdown on hover, so that crossing the nav does not flicker
+const HOVER_OPEN_DELAY = 150;
+const HOVER_CLOSE_DELAY = 300;
+
+// time after which the type-ahead starts a new search
+const TYPEAHEAD_RESET = 500;
+
+// scroll distance that must be exceeded before the header condenses, and before it hides
+const CONDENSE_OFFSET = 64;
+// scroll distance ignored when detecting a change of scroll direction
+const SCROLL_TOLERANCE = 8;
+
+// replaced by the localized placeholders once loaded
+let translate = (key, fallback) => fallback;
+
+/**
+ * Expands or collapses a nav section or a mega menu group.
+ * @param {Element} item The nav section or group
+ * @param {Boolean} expanded Whether the item should be expanded
+ */
+function setExpanded(item, expanded) {
+  item.setAttribute('aria-expanded', expanded);
+  const toggle = item.querySelector(':scope > .nav-drop-toggle, :scope > .nav-mega-heading[role="button"]');
+  if (toggle) toggle.setAttribute('aria-expanded', expanded);
+}
+
+/**
+ * Gets the focusable menubar items, one per nav section.
+ * @param {Element} navSections The nav sections
+ * @returns {Element[]} The items
+ */
+function getTopItems(navSections) {
+  return [...navSections.querySelectorAll('[role="menubar"] > li')]
+    .map((navSection) => navSection.querySelector(':scope > .nav-drop-toggle, :scope a'))
+    .filter((item) => !!item);
+}
+
+/**
+ * Gets the focusable items of a dropdown panel.
+ * @param {Element} panel The dropdown panel
+ * @returns {Element[]} The items
+ */
+function getPanelItems(panel) {
+  return [...panel.querySelectorAll('a[href], [role="button"], button:not(.nav-drop-back)')]
+    .filter((item) => !item.closest('.nav-mega-group[aria-expanded="false"] > ul'));
+}
+
+/**
+ * Makes an item of a menubar the only one reachable by tab, and focuses it.
+ * @param {Element[]} items The menubar items
+ * @param {number} index The index of the item to focus
+ */
+function focusTopItem(items, index) {
+  const idx = (index + items.length) % items.length;
+  items.forEach((item, i) => item.setAttribute('tabindex', i === idx ? '0' : '-1'));
+  items[idx].focus();
+}
+
+let typeaheadBuffer = '';
+let typeaheadTimeout;
+
+/**
+ * Finds the next item starting with the characters typed so far.
+ * @param {string} key The typed character
+ * @param {Element[]} items The items to search
+ * @param {number} current The index of the focused item
+ * @returns {number} The index of the matching item, or -1
+ */
+function typeahead(key, items, current) {
+  clearTimeout(typeaheadTimeout);
+  typeaheadTimeout = setTimeout(() => { typeaheadBuffer = ''; }, TYPEAHEAD_RESET);
+  typeaheadBuffer += key.toLowerCase();
+  // a repeated first character cycles through the items starting with it
+  const start = typeaheadBuffer.length === 1 ? current + 1 : current;
+  for (let i = 0; i < items.length; i += 1) {
+    const idx = (start + i) % items.length;
+    if (items[idx].textContent.trim().toLowerCase().startsWith(typeaheadBuffer)) return idx;
+  }
+  return -1;
+}
+
 function closeOnEscape(e) {
   if (e.code === 'Escape') {
     const nav = document.getElementById('nav');
     const navSections = nav.querySelector('.nav-sections');
-    const navSectionExpanded = navSections.querySelector('[aria-expanded="true"]');
-    if (navSectionExpanded && isDesktop.matches) {
-      // eslint-disable-next-line no-use-before-define
-      toggleAllNavSections(navSections);
-      navSectionExpanded.focus();
+    const navSectionExpanded = navSections.querySelector('[role="menubar"] > [aria-expanded="true"]');
+    if (navSectionExpanded) {
+      // close the open dropdown, or on mobile go back one level
+      const groupExpanded = navSectionExpanded.querySelector('.nav-mega-group[aria-expanded="true"]');
+      if (groupExpanded && !isDesktop.matches) {
+        setExpanded(groupExpanded, false);
+        groupExpanded.querySelector('.nav-mega-heading').focus();
+      } else {
+        // eslint-disable-next-line no-use-before-define
+        toggleAllNavSections(navSections);
+        navSectionExpanded.querySelector('.nav-drop-toggle').focus();
+      }
     } else if (!isDesktop.matches) {
       // eslint-disable-next-line no-use-before-define
       toggleMenu(nav, navSections);
@@ -36,19 +126,68 @@ function closeOnFocusLost(e) {
   }
 }
 
-function openOnKeydown(e) {
-  const focused = document.activeElement;
-  const isNavDrop = focused.className === 'nav-drop';
-  if (isNavDrop && (e.code === 'Enter' || e.code === 'Space')) {
-    const dropExpanded = focused.getAttribute('aria-expanded') === 'true';
+/**
+ * Handles the WAI-ARIA menubar keyboard interactions of the nav sections.
+ * @param {KeyboardEvent} e The keydown event
+ * @param {Element} navSections The nav sections
+ */
+function onMenuKeydown(e, navSections) {
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
+  const rtl = document.documentElement.dir === 'rtl';
+  const nextKey = rtl ? 'ArrowLeft' : 'ArrowRight';
+  const previousKey = rtl ? 'ArrowRight' : 'ArrowLeft';
+  const topItems = getTopItems(navSections);
+  const topIndex = topItems.indexOf(e.target);
+  const navSection = e.target.closest('[role="menubar"] > li');
+  if (!navSection) return;
+  const panel = navSection.querySelector(':scope > .nav-drop-panel');
+
+  const openPanel = (focusLast) => {
     // eslint-disable-next-line no-use-before-define
-    toggleAllNavSections(focused.closest('.nav-sections'));
-    focused.setAttribute('aria-expanded', dropExpanded ? 'false' : 'true');
-  }
-}
+    toggleAllNavSections(navSections);
+    setExpanded(navSection, true);
+    const items = getPanelItems(panel);
+    if (items.length) items[focusLast ? items.length - 1 : 0].focus();
+  };
 
-function focusNavSection() {
-  document.activeElement.addEventListener('keydown', openOnKeydown);
+  let handled = true;
+  if (topIndex >= 0) {
+    // focus is on the menubar
+    if (e.key === nextKey) focusTopItem(topItems, topIndex + 1);
+    else if (e.key === previousKey) focusTopItem(topItems, topIndex - 1);
+    else if (e.key === 'Home') focusTopItem(topItems, 0);
+    else if (e.key === 'End') focusTopItem(topItems, topItems.length - 1);
+    else if (panel && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) openPanel(e.key === 'ArrowUp');
+    else if (e.key.length === 1 && e.key !== ' ') {
+      const idx = typeahead(e.key, topItems, topIndex);
+      if (idx >= 0) focusTopItem(topItems, idx);
+    } else handled = false;
+  } else if (panel) {
+    // focus is in a dropdown panel
+    const items = getPanelItems(panel);
+    const idx = items.indexOf(e.target);
+    const sectionIndex = topItems.indexOf(navSection.querySelector('.nav-drop-toggle'));
+    const moveToSection = (index) => {
+      // eslint-disable-next-line no-use-before-define
+      toggleAllNavSections(navSections);
+      focusTopItem(topItems, index);
+      const next = topItems[(index + topItems.length) % topItems.length].closest('li');
+      if (next.classList.contains('nav-drop')) setExpanded(next, true);
+    };
+    if (e.key === 'ArrowDown') items[(idx + 1) % items.length].focus();
+    else if (e.key === 'ArrowUp') items[(idx - 1 + items.length) % items.length].focus();
+    else if (e.key === 'Home') items[0].focus();
+    else if (e.key === 'End') items[items.length - 1].focus();
+    else if (e.key === nextKey && isDesktop.matches) moveToSection(sectionIndex + 1);
+    else if (e.key === previousKey && isDesktop.matches) moveToSection(sectionIndex - 1);
+    else if (e.key.length === 1 && e.key !== ' ') {
+      const match = typeahead(e.key, items, idx);
+      if (match >= 0) items[match].focus();
+    } else handled = false;
+  } else {
+    handled = false;
+  }
+  if (handled) e.preventDefault();
 }
 
 /**
@@ -58,7 +197,31 @@ function focusNavSection() {
  */
 function toggleAllNavSections(sections, expanded = false) {
   sections.querySelectorAll('.nav-sections .default-content-wrapper > ul > li').forEach((section) => {
-    section.setAttribute('aria-expanded', expanded);
+    setExpanded(section, expanded);
+  });
+  sections.querySelectorAll('.nav-mega-group[aria-expanded]').forEach((group) => {
+    setExpanded(group, false);
+  });
+}
+
+/**
+ * Switches mega menu group headings between plain headings on desktop
+ * and drill-down toggles on mobile.
+ * @param {Element} navSections The nav sections
+ */
+function updateDrilldowns(navSections) {
+  navSections.querySelectorAll('.nav-mega-group > .nav-mega-heading').forEach((heading) => {
+    const group = heading.parentElement;
+    if (isDesktop.matches) {
+      heading.removeAttribute('role');
+      heading.removeAttribute('tabindex');
+      heading.removeAttribute('aria-expanded');
+      group.removeAttribute('aria-expanded');
+    } else {
+      heading.setAttribute('role', 'button');
+      heading.setAttribute('tabindex', '0');
+      setExpanded(group, false);
+    }
   });
 }
 
@@ -73,23 +236,12 @@ function toggleMenu(nav, navSections, forceExpanded = null) {
   const button = nav.querySelector('.nav-hamburger button');
   document.body.style.overflowY = (expanded || isDesktop.matches) ? '' : 'hidden';
   nav.setAttribute('aria-expanded', expanded ? 'false' : 'true');
-  toggleAllNavSections(navSections, expanded || isDesktop.matches ? 'false' : 'true');
-  button.setAttribute('aria-label', expanded ? 'Open navigation' : 'Close navigation');
-  // enable nav dropdown keyboard accessibility
-  const navDrops = navSections.querySelectorAll('.nav-drop');
-  if (isDesktop.matches) {
-    navDrops.forEach((drop) => {
-      if (!drop.hasAttribute('tabindex')) {
-        drop.setAttribute('tabindex', 0);
-        drop.addEventListener('focus', focusNavSection);
-      }
-    });
-  } else {
-    navDrops.forEach((drop) => {
-      drop.removeAttribute('tabindex');
-      drop.removeEventListener('focus', focusNavSection);
-    });
-  }
+  // on mobile, dropdowns are drilled down into one at a time
+  toggleAllNavSections(navSections);
+  updateDrilldowns(navSections);
+  button.setAttribute('aria-label', expanded
+    ? translate('openNavigation', 'Open navigation')
+    : translate('closeNavigation', 'Close navigation'));
 
   // enable menu collapse on escape keypress
   if (!expanded || isDesktop.matches) {
@@ -103,15 +255,260 @@ function toggleMenu(nav, navSections, forceExpanded = null) {
   }
 }
 
+/**
+ * Builds a button going back one level of a mobile drill-down.
+ * @param {Element} item The nav section or group to collapse
+ * @returns {Element} The back button
+ */
+function buildBackButton(item) {
+  const back = document.createElement('button');
+  back.type = 'button';
+  back.className = 'nav-drop-back';
+  back.textContent = translate('back', 'Back');
+  back.addEventListener('click', () => {
+    setExpanded(item, false);
+    item.querySelector(':scope > .nav-drop-toggle, :scope > .nav-mega-heading').focus();
+  });
+  return back;
+}
+
+/**
+ * Builds a mega menu panel. Links to fragments are replaced by the sections of the fragment,
+ * labels with a nested list become groups of links.
+ * @param {Element} submenu The nested list of a nav section
+ * @returns {Promise<Element>} The panel
+ */
+async function buildMegaPanel(submenu) {
+  const panel = document.createElement('div');
+  panel.className = 'nav-mega';
+  const columns = await Promise.all([...submenu.children].map(async (item) => {
+    const link = item.querySelector(':scope > a');
+    const path = link && new URL(link.href, window.location).pathname;
+    if (path && path.includes('/fragments/')) {
+      const fragment = await loadFragment(path);
+      if (!fragment) return [];
+      return [...fragment.querySelectorAll(':scope > .section')].map((section) => {
+        section.classList.add('nav-mega-column');
+        return section;
+      });
+    }
+
+    const column = document.createElement('div');
+    column.className = 'nav-mega-column';
+    const list = item.querySelector(':scope > ul');
+    if (list) {
+      column.classList.add('nav-mega-group');
+      const heading = document.createElement('p');
+      heading.className = 'nav-mega-heading';
+      heading.append(...[...item.childNodes].filter((node) => node !== list));
+      heading.addEventListener('click', () => {
+        if (!isDesktop.matches) setExpanded(column, column.getAttribute('aria-expanded') !== 'true');
+      });
+      heading.addEventListener('keydown', (e) => {
+        if (heading.getAttribute('role') === 'button' && (e.code === 'Enter' || e.code === 'Space')) {
+          e.preventDefault();
+          heading.click();
+        }
+      });
+      column.append(heading, buildBackButton(column), list);
+    } else {
+      const single = document.createElement('ul');
+      single.append(item);
+      column.append(single);
+    }
+    return [column];
+  }));
+  panel.append(...columns.flat());
+  return panel;
+}
+
+/**
+ * Decorates the nav sections as a menubar with dropdown and mega menu panels.
+ * @param {Element} navSections The nav sections
+ */
+async function decorateNavSections(navSections) {
+  const menubar = navSections.querySelector(':scope .default-content-wrapper > ul');
+  if (!menubar) return;
+  menubar.setAttribute('role', 'menubar');
+  menubar.setAttribute('aria-label', translate('mainNavigation', 'Main navigation'));
+
+  await Promise.all([...menubar.children].map(async (navSection, i) => {
+    navSection.setAttribute('role', 'none');
+    const submenu = navSection.querySelector(':scope > ul');
+    if (!submenu) {
+      const link = navSection.querySelector('a');
+      if (link) link.setAttribute('role', 'menuitem');
+      return;
+    }
+
+    navSection.classList.add('nav-drop');
+    const label = [...navSection.childNodes].filter((node) => node !== submenu);
+    const labelLink = label.map((node) => (node.nodeType === Node.ELEMENT_NODE
+      ? node.closest('a') || node.querySelector('a') : null)).find((a) => !!a);
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'nav-drop-toggle';
+    toggle.textContent = label.map((node) => node.textContent).join('').trim();
+    toggle.setAttribute('role', 'menuitem');
+    toggle.setAttribute('aria-expanded', 'false');
+    label.forEach((node) => node.remove());
+
+    const isMega = [...submenu.querySelectorAll(':scope > li > a')]
+      .some((a) => new URL(a.href, window.location).pathname.includes('/fragments/'));
+    let panel = submenu;
+    if (isMega) {
+      panel = await buildMegaPanel(submenu);
+      submenu.replaceWith(panel);
+    } else {
+      toggle.setAttribute('aria-haspopup', 'true');
+      submenu.setAttribute('role', 'menu');
+      submenu.querySelectorAll(':scope > li').forEach((li) => li.setAttribute('role', 'none'));
+      submenu.querySelectorAll(':scope > li > a').forEach((a) => a.setAttribute('role', 'menuitem'));
+    }
+    panel.classList.add('nav-drop-panel');
+    panel.id = `nav-drop-panel-${i + 1}`;
+    toggle.setAttribute('aria-controls', panel.id);
+    // keep the link of the label reachable, as the first item of the panel
+    if (labelLink) {
+      const overview = document.createElement(isMega ? 'p' : 'li');
+      overview.className = 'nav-drop-overview';
+      labelLink.className = '';
+      if (!isMega) {
+        overview.setAttribute('role', 'none');
+        labelLink.setAttribute('role', 'menuitem');
+      }
+      overview.append(labelLink);
+      panel.prepend(overview);
+    }
+    navSection.prepend(toggle, buildBackButton(navSection));
+
+    let hoverTimeout;
+    let openedByHover = false;
+    toggle.addEventListener('click', (e) => {
+      // a click right after the hover opened the dropdown must not close it again
+      if (openedByHover && e.pointerType === 'mouse') {
+        openedByHover = false;
+        return;
+      }
+      const expanded = navSection.getAttribute('aria-expanded') === 'true';
+      toggleAllNavSections(navSections);
+      setExpanded(navSection, !expanded);
+    });
+    navSection.addEventListener('pointerenter', (e) => {
+      if (!isDesktop.matches || e.pointerType !== 'mouse') return;
+      clearTimeout(hoverTimeout);
+      hoverTimeout = setTimeout(() => {
+        if (navSection.getAttribute('aria-expanded') === 'true') return;
+        toggleAllNavSections(navSections);
+        setExpanded(navSection, true);
+        openedByHover = true;
+      }, HOVER_OPEN_DELAY);
+    });
+    navSection.addEventListener('pointerleave', (e) => {
+      if (!isDesktop.matches || e.pointerType !== 'mouse') return;
+      clearTimeout(hoverTimeout);
+      hoverTimeout = setTimeout(() => {
+        setExpanded(navSection, false);
+        openedByHover = false;
+      }, HOVER_CLOSE_DELAY);
+    });
+  }));
+
+  // only one menubar item is reachable by tab, the others by arrow keys
+  getTopItems(navSections).forEach((item, i) => item.setAttribute('tabindex', i ? '-1' : '0'));
+  navSections.addEventListener('keydown', (e) => onMenuKeydown(e, navSections));
+}
+
+/**
+ * Marks the link to the current page, or to its closest ancestor, and the sections it is in.
+ * @param {Element} navSections The nav sections
+ */
+function markActivePage(navSections) {
+  const active = findActiveLink(navSections);
+  if (!active) return;
+  active.link.setAttribute('aria-current', active.exact ? 'page' : 'true');
+  let item = active.link.parentElement.closest('.nav-mega-group, .nav-drop');
+  while (item) {
+    const label = item.querySelector(':scope > .nav-drop-toggle, :scope > .nav-mega-heading');
+    if (label) label.setAttribute('aria-current', 'true');
+    item = item.parentElement.closest('.nav-mega-group, .nav-drop');
+  }
+}
+
+/**
+ * Exposes the height of the nav as the --header-height custom property, so that content
+ * scrolled into view is not hidden under the header.
+ * @param {Element} nav The nav
+ */
+function observeHeaderHeight(nav) {
+  if (!window.ResizeObserver) return;
+  new ResizeObserver(() => {
+    // the expanded mobile menu covers the whole page
+    if (!isDesktop.matches && nav.getAttribute('aria-expanded') === 'true') return;
+    document.documentElement.style.setProperty('--header-height', `${nav.offsetHeight}px`);
+  }).observe(nav);
+}
+
+/**
+ * Condenses the header when scrolling down and hides it until the page is scrolled up again.
+ * @param {Element} navWrapper The nav wrapper
+ */
+function decorateCondensingHeader(navWrapper) {
+  const nav = navWrapper.querySelector('nav');
+  let lastScrollY = window.scrollY;
+  let ticking = false;
+
+  const update = () => {
+    ticking = false;
+    const { scrollY } = window;
+    navWrapper.classList.toggle('condensed', scrollY > CONDENSE_OFFSET);
+    if (Math.abs(scrollY - lastScrollY) < SCROLL_TOLERANCE) return;
+    // keep the header while it is being used
+    const inUse = navWrapper.contains(document.activeElement)
+      || !!nav.querySelector('.nav-drop[aria-expanded="true"]')
+      || (!isDesktop.matches && nav.getAttribute('aria-expanded') === 'true');
+    navWrapper.classList.toggle('retracted', scrollY > lastScrollY && scrollY > CONDENSE_OFFSET && !inUse);
+    lastScrollY = scrollY;
+  };
+
+  window.addEventListener('scroll', () => {
+    if (ticking) return;
+    ticking = true;
+    window.requestAnimationFrame(update);
+  }, { passive: true });
+  navWrapper.addEventListener('focusin', () => navWrapper.classList.remove('retracted'));
+  update();
+}
+
+/**
+ * Shows the header transparent over the hero of the first section,
+ * and solid once the first section is scrolled past.
+ * @param {Element} navWrapper The nav wrapper
+ */
+function decorateTransparentHeader(navWrapper) {
+  const firstSection = document.querySelector('main > .section');
+  if (!firstSection || !firstSection.querySelector('.hero')) return;
+  document.body.classList.add('header-transparent');
+  navWrapper.classList.add('transparent');
+  new IntersectionObserver(([entry]) => {
+    navWrapper.classList.toggle('transparent', entry.isIntersecting);
+  }, {
+    rootMargin: `-${navWrapper.offsetHeight || CONDENSE_OFFSET}px 0px 0px 0px`,
+  }).observe(firstSection);
+}
+
 /**
  * loads and decorates the header, mainly the nav
  * @param {Element} block The header block element
  */
 export default async function decorate(block) {
   // load nav as fragment
-  const navMeta = getMetadata('nav');
-  const navPath = navMeta ? new URL(navMeta, window.location).pathname : '/nav';
-  const fragment = await loadFragment(navPath);
+  const [fragment, placeholders] = await Promise.all([
+    loadFirstFragment(getNavPaths()),
+    loadPlaceholders(),
+  ]);
+  translate = placeholders;
+  if (!fragment) return;
 
   // decorate nav DOM
   block.textContent = '';
@@ -132,24 +529,19 @@ export default async function decorate(block) {
     brandLink.closest('.button-container').className = '';
   }
 
+  const navTools = nav.querySelector('.nav-tools');
+  if (navTools) navTools.append(buildLanguageSwitcher());
+
   const navSections = nav.querySelector('.nav-sections');
   if (navSections) {
-    navSections.querySelectorAll(':scope .default-content-wrapper > ul > li').forEach((navSection) => {
-      if (navSection.querySelector('ul')) navSection.classList.add('nav-drop');
-      navSection.addEventListener('click', () => {
-        if (isDesktop.matches) {
-          const expanded = navSection.getAttribute('aria-expanded') === 'true';
-          toggleAllNavSections(navSections);
-          navSection.setAttribute('aria-expanded', expanded ? 'false' : 'true');
-        }
-      });
-    });
+    await decorateNavSections(navSections);
+    markActivePage(navSections);
   }
 
   // hamburger for mobile
   const hamburger = document.createElement('div');
   hamburger.classList.add('nav-hamburger');
-  hamburger.innerHTML = `<button type="button" aria-controls="nav" aria-label="Open navigation">
+  hamburger.innerHTML = `<button type="button" aria-controls="nav" aria-label="${translate('openNavigation', 'Open navigation')}">
       <span class="nav-hamburger-icon"></span>
     </button>`;
   hamburger.addEventListener('click', () => toggleMenu(nav, navSections));
@@ -163,4 +555,9 @@ export default async function decorate(block) {
   navWrapper.className = 'nav-wrapper';
   navWrapper.append(nav);
   block.append(navWrapper);
+
+  observeHeaderHeight(nav);
+  const options = getHeaderOptions(block);
+  if (options.includes('condense')) decorateCondensingHeader(navWrapper);
+  if (options.includes('transparent')) decorateTransparentHeader(navWrapper);
 }
@@ -1,15 +1,68 @@
 import { loadFragment } from '../fragment/fragment.js';
 import {
-  buildBlock, decorateBlock, loadBlock, loadCSS,
+  buildBlock, createOptimizedPicture, decorateBlock, loadBlock, loadCSS,
 } from '../../scripts/aem.js';
 
 /*
   This is not a traditional block, so there is no decorate function.
   Instead, links to a /modals/ path are automatically transformed into a modal.
   Other blocks can also use the createModal() and openModal() functions.
+
+  Modals stack, each open modal is a history entry the back button closes,
+  and modals opened from a fragment can be linked to with #modal=/modals/foo.
+  modal:open and modal:close events are dispatched on the modal block and bubble up.
+
+  Modals are centered dialogs, unless they are one of the VARIANTS, chosen through
+  the createModal options or the style of the first section of a modal fragment.
 */
 
-export async function createModal(contentNodes) {
+const HASH_PREFIX = '#modal=';
+export const VARIANTS = ['drawer-left', 'drawer-right', 'bottom-sheet', 'fullscreen', 'lightbox'];
+// the open modals, the topmost last
+const stack = [];
+
+/**
+ * Gets the URL of the current page with a modal linked in the hash.
+ * @param {string} [path] The fragment path of the modal
+ * @returns {string} The URL
+ */
+function getModalUrl(path) {
+  const url = new URL(window.location);
+  url.hash = path ? `${HASH_PREFIX}${path}` : '';
+  return url.href;
+}
+
+/**
+ * Gets the path of the modal linked in the hash of the current page.
+ * @returns {string} The fragment path, or null if no modal is linked
+ */
+function getLinkedPath() {
+  const { hash } = window.location;
+  if (!hash.startsWith(HASH_PREFIX)) return null;
+  const path = decodeURIComponent(hash.substring(HASH_PREFIX.length));
+  // only fragments of this site
+  return new URL(path, window.location).origin === window.location.origin && path.startsWith('/')
+    ? path
+    : null;
+}
+
+/**
+ * Goes back past the history entries of closed modals.
+ */
+function syncHistory() {
+  const depth = window.history.state?.modal || 0;
+  if (depth > stack.length) window.history.go(stack.length - depth);
+}
+
+/**
+ * Creates a modal for content.
+ * @param {Node[]} contentNodes The content
+ * @param {object} [options] Options
+ * @param {string} [options.path] The fragment path of the content, used to link to the modal
+ * @param {string} [options.variant] One of the VARIANTS, e.g. "drawer-right"
+ * @returns {Promise<object>} The modal block and dialog, with functions to show and close it
+ */
+export async function createModal(contentNodes, { path, variant } = {}) {
   await loadCSS(`${window.hlx.codeBasePath}/blocks/modal/modal.css`);
   const dialog = document.createElement('dialog');
   const dialogContent = document.createElement('div');
@@ -26,6 +79,7 @@ export async function createModal(contentNodes) {
   dialog.prepend(closeButton);
 
   const block = buildBlock('modal', '');
+  if (VARIANTS.includes(variant)) block.classList.add(variant);
   document.querySelector('main').append(block);
   decorateBlock(block);
   await loadBlock(block);
@@ -41,8 +95,27 @@ export async function createModal(contentNodes) {
     }
   });
 
+  const modal = {
+    block,
+    dialog,
+    path,
+    trigger: null,
+    closedByHistory: false,
+  };
+
   dialog.addEventListener('close', () => {
-    document.body.classList.remove('modal-open');
+    // modals stacked on top of this one close with it
+    const index = stack.indexOf(modal);
+    if (index >= 0) {
+      stack.splice(index).slice(1).forEach((above) => {
+        above.closedByHistory = true;
+        above.dialog.close();
+      });
+    }
+    if (!stack.length) document.body.classList.remove('modal-open');
+    if (modal.trigger && modal.trigger.isConnected) modal.trigger.focus();
+    if (!modal.closedByHistory) syncHistory();
+    block.dispatchEvent(new CustomEvent('modal:close', { bubbles: true, detail: { path } }));
     block.remove();
   });
 
@@ -51,21 +124,186 @@ export async function createModal(contentNodes) {
 
   return {
     block,
-    showModal: () => {
+    dialog,
+    showModal: ({ pushState = true } = {}) => {
+      modal.trigger = document.activeElement;
       dialog.showModal();
+      stack.push(modal);
+      if (pushState) {
+        const url = path ? getModalUrl(path) : window.location.href;
+        window.history.pushState({ modal: stack.length, path, variant }, '', url);
+      }
       // reset scroll position
       setTimeout(() => { dialogContent.scrollTop = 0; }, 0);
       document.body.classList.add('modal-open');
+      block.dispatchEvent(new CustomEvent('modal:open', { bubbles: true, detail: { path } }));
     },
+    close: () => dialog.close(),
   };
 }
 
-export async function openModal(fragmentUrl) {
+/**
+ * Opens a fragment in a modal, stacked on top of the open modals.
+ * @param {string} fragmentUrl The fragment URL or path
+ * @param {object} [options] Options
+ * @param {boolean} [options.pushState] Whether the modal gets a history entry
+ * @param {string} [options.variant] One of the VARIANTS, defaults to the style of the fragment
+ * @returns {Promise<object>} The modal, or null if the fragment could not be loaded
+ */
+export async function openModal(fragmentUrl, { pushState = true, variant } = {}) {
   const path = fragmentUrl.startsWith('http')
     ? new URL(fragmentUrl, window.location).pathname
     : fragmentUrl;
 
   const fragment = await loadFragment(path);
-  const { showModal } = await createModal(fragment.childNodes);
-  showModal();
+  if (!fragment) return null;
+  const section = fragment.querySelector(':scope > .section');
+  const style = section && VARIANTS.find((v) => section.classList.contains(v));
+  const modal = await createModal(fragment.childNodes, { path, variant: variant || style });
+  modal.showModal({ pushState });
+  return modal;
+}
+
+/**
+ * Closes the topmost modal.
+ */
+export function closeModal() {
+  if (stack.length) stack[stack.length - 1].dialog.close();
+}
+
+window.addEventListener('popstate', ({ state }) => {
+  const depth = state?.modal || 0;
+  stack.splice(depth).forEach((modal) => {
+    modal.closedByHistory = true;
+    modal.dialog.close();
+  });
+  // going forward again reopens linked modals
+  if (depth > stack.length && state.path) {
+    openModal(state.path, { pushState: false, variant: state.variant });
+  }
+});
+
+/**
+ * Opens the modal linked in the hash of the current page, e.g. #modal=/modals/foo.
+ * Closing it goes back to the page without the modal.
+ * @returns {Promise<object>} The modal, or null if no modal is linked
+ */
+export async function openLinkedModal() {
+  const path = getLinkedPath();
+  if (!path) return null;
+  window.history.replaceState({ modal: 0 }, '', getModalUrl());
+  return openModal(path);
+}
+
+/**
+ * Gets the position of the pointer within an element.
+ * @param {PointerEvent} e The pointer event
+ * @param {Element} element The element
+ * @returns {number[]} The horizontal and vertical position in percent
+ */
+function getPointerPosition(e, element) {
+  const rect = element.getBoundingClientRect();
+  return [
+    ((e.clientX - rect.left) / rect.width) * 100,
+    ((e.clientY - rect.top) / rect.height) * 100,
+  ];
+}
+
+/**
+ * Opens images in a lightbox gallery, paged through by swiping, buttons or arrow keys,
+ * and zoomed in on by clicking them.
+ * @param {object[]} images The images with src and alt
+ * @param {number} [index] The index of the image shown first
+ * @returns {Promise<object>} The modal
+ */
+export async function openLightbox(images, index = 0) {
+  const gallery = document.createElement('div');
+  gallery.className = 'modal-lightbox';
+  const slides = document.createElement('ul');
+  slides.className = 'modal-lightbox-slides';
+  images.forEach(({ src, alt }, i) => {
+    const url = new URL(src, window.location);
+    const li = document.createElement('li');
+    li.setAttribute('aria-label', `${i + 1} / ${images.length}`);
+    if (url.origin === window.location.origin) {
+      li.append(createOptimizedPicture(url.href, alt, i === index, [{ width: '2000' }]));
+    } else {
+      const img = document.createElement('img');
+      img.src = url.href;
+      img.alt = alt;
+      img.loading = i === index ? 'eager' : 'lazy';
+      li.append(img);
+    }
+    slides.append(li);
+  });
+
+  const controls = document.createElement('div');
+  controls.className = 'modal-lightbox-controls';
+  controls.innerHTML = `
+    <button type="button" class="modal-lightbox-prev" aria-label="Previous image"></button>
+    <p class="modal-lightbox-counter" aria-live="polite"></p>
+    <button type="button" class="modal-lightbox-zoom" aria-label="Zoom" aria-pressed="false"></button>
+    <button type="button" class="modal-lightbox-next" aria-label="Next image"></button>
+  `;
+  if (images.length < 2) gallery.classList.add('single-image');
+  gallery.append(slides, controls);
+
+  const modal = await createModal([gallery], { variant: 'lightbox' });
+  const prev = controls.querySelector('.modal-lightbox-prev');
+  const next = controls.querySelector('.modal-lightbox-next');
+  const zoom = controls.querySelector('.modal-lightbox-zoom');
+  let current = index;
+
+  const setZoom = (zoomed, x = 50, y = 50) => {
+    const slide = slides.children[current];
+    slide.classList.toggle('zoomed', zoomed);
+    slide.style.setProperty('--zoom-origin', `${x}% ${y}%`);
+    // a zoomed image pans instead of swiping
+    slides.classList.toggle('zooming', zoomed);
+    zoom.setAttribute('aria-pressed', zoomed);
+  };
+  const update = () => {
+    controls.querySelector('.modal-lightbox-counter').textContent = `${current + 1} / ${images.length}`;
+    prev.disabled = current === 0;
+    next.disabled = current === images.length - 1;
+  };
+  const show = (i, behavior = 'smooth') => {
+    if (i < 0 || i >= images.length) return;
+    setZoom(false);
+    current = i;
+    slides.scrollTo({ left: slides.children[i].offsetLeft, behavior });
+    update();
+  };
+
+  prev.addEventListener('click', () => show(current - 1));
+  next.addEventListener('click', () => show(current + 1));
+  zoom.addEventListener('click', () => setZoom(zoom.getAttribute('aria-pressed') !== 'true'));
+  modal.dialog.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowLeft') show(current - 1);
+    if (e.key === 'ArrowRight') show(current + 1);
+  });
+  slides.addEventListener('scroll', () => {
+    const i = Math.round(slides.scrollLeft / slides.clientWidth);
+    if (i !== current && i >= 0 && i < images.length) {
+      current = i;
+      update();
+    }
+  }, { passive: true });
+  // zoom in on the point clicked, and follow the pointer while zoomed
+  slides.addEventListener('click', (e) => {
+    const img = e.target.closest('img');
+    if (!img) return;
+    const zoomed = slides.children[current].classList.contains('zoomed');
+    setZoom(!zoomed, ...getPointerPosition(e, img));
+  });
+  slides.addEventListener('pointermove', (e) => {
+    const slide = slides.children[current];
+    if (!slide.classList.contains('zoomed')) return;
+    const [x, y] = getPointerPosition(e, slide);
+    slide.style.setProperty('--zoom-origin', `${x}% ${y}%`);
+  });
+
+  modal.showModal();
+  show(index, 'instant');
+  return modal;
 }
@@ -0,0 +1,180 @@
+/*
+ * Search Facets
+ * Facet counting, filtering and sorting of search hits based on query-index.json columns.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Available facets. `name` is the query index column, `param` the URL search parameter.
+ */
+export const FACETS = [
+  {
+    name: 'template',
+    param: 'template',
+    label: 'Template',
+    placeholder: 'searchFacetTemplate',
+  },
+  {
+    name: 'tags',
+    param: 'tags',
+    label: 'Tags',
+    placeholder: 'searchFacetTags',
+  },
+  {
+    name: 'author',
+    param: 'author',
+    label: 'Author',
+    placeholder: 'searchFacetAuthor',
+  },
+  {
+    name: 'lastModified',
+    param: 'modified',
+    label: 'Last Modified',
+    placeholder: 'searchFacetModified',
+    single: true,
+    ranges: [
+      {
+        value: 'week', label: 'Past week', placeholder: 'searchModifiedWeek', days: 7,
+      },
+      {
+        value: 'month', label: 'Past month', placeholder: 'searchModifiedMonth', days: 30,
+      },
+      {
+        value: 'year', label: 'Past year', placeholder: 'searchModifiedYear', days: 365,
+      },
+    ],
+  },
+];
+
+/**
+ * Available sort orders, the first one being the default.
+ */
+export const SORTS = [
+  { value: 'relevance', label: 'Relevance', placeholder: 'searchSortRelevance' },
+  { value: 'newest', label: 'Newest', placeholder: 'searchSortNewest' },
+  { value: 'title', label: 'Title', placeholder: 'searchSortTitle' },
+];
+
+/**
+ * Gets the facet values of a query index entry.
+ * @param {object} entry The query index entry
+ * @param {object} facet The facet
+ * @param {number} [now] The reference time for date ranges
+ * @returns {string[]} The values
+ */
+export function getFacetValues(entry, facet, now = Date.now()) {
+  const raw = entry[facet.name];
+  if (raw === undefined || raw === null || raw === '') return [];
+
+  if (facet.ranges) {
+    const timestamp = Number(raw) * 1000;
+    if (!timestamp) return [];
+    return facet.ranges
+      .filter(({ days }) => now - timestamp <= days * DAY)
+      .map(({ value }) => value);
+  }
+
+  let values = raw;
+  if (typeof raw === 'string') {
+    try {
+      // multi-value columns are either JSON arrays or comma separated
+      values = raw.startsWith('[') ? JSON.parse(raw) : raw.split(',');
+    } catch (e) {
+      values = [raw];
+    }
+  }
+  return [].concat(values)
+    .map((value) => String(value).trim())
+    .filter((value) => !!value);
+}
+
+/**
+ * Reads the facet selection from URL search parameters.
+ * @param {URLSearchParams} params The search parameters
+ * @returns {object} The selected values keyed by facet parameter
+ */
+export function readSelection(params) {
+  return Object.fromEntries(FACETS.map(({ param }) => [param, params.getAll(param)]));
+}
+
+/**
+ * Writes the facet selection to URL search parameters.
+ * @param {URLSearchParams} params The search parameters
+ * @param {object} selection The selected values keyed by facet parameter
+ */
+export function writeSelection(params, selection) {
+  FACETS.forEach(({ param }) => {
+    params.delete(param);
+    (selection[param] || []).forEach((value) => params.append(param, value));
+  });
+}
+
+/**
+ * Filters hits by the facet selection.
+ * @param {object[]} hits The search hits
+ * @param {object} selection The selected values keyed by facet parameter
+ * @param {object} [except] A facet to ignore, used for counting its own values
+ * @returns {object[]} The matching hits
+ */
+export function filterHits(hits, selection, except) {
+  const now = Date.now();
+  const active = FACETS.filter((facet) => facet !== except
+    && selection[facet.param] && selection[facet.param].length);
+  return hits.filter((hit) => active.every((facet) => {
+    const values = getFacetValues(hit.result, facet, now);
+    return selection[facet.param].some((value) => values.includes(value));
+  }));
+}
+
+/**
+ * Counts the values of every facet. The counts of a facet take the selection
+ * of all other facets into account, so that selecting a value keeps its siblings visible.
+ * @param {object[]} hits The search hits
+ * @param {object} selection The selected values keyed by facet parameter
+ * @returns {object[]} Per facet, the list of values with their count
+ */
+export function countFacets(hits, selection) {
+  const now = Date.now();
+  return FACETS.map((facet) => {
+    const counts = new Map();
+    if (facet.ranges) facet.ranges.forEach(({ value }) => counts.set(value, 0));
+    filterHits(hits, selection, facet).forEach((hit) => {
+      getFacetValues(hit.result, facet, now).forEach((value) => {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      });
+    });
+    // keep selected values visible so they can be deselected
+    const selected = selection[facet.param] || [];
+    selected.forEach((value) => {
+      if (!counts.has(value)) counts.set(value, 0);
+    });
+
+    let values = [...counts.entries()].map(([value, count]) => ({ value, count }));
+    if (facet.ranges) {
+      // ranges keep their defined order, but are hidden when nothing matches any of them
+      if (values.every(({ count }) => !count) && !selected.length) values = [];
+    } else {
+      values.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    }
+    return { facet, values };
+  });
+}
+
+/**
+ * Sorts hits.
+ * @param {object[]} hits The search hits, in relevance order
+ * @param {string} sort The sort order
+ * @returns {object[]} The sorted hits
+ */
+export function sortHits(hits, sort) {
+  if (sort === 'newest') {
+    return [...hits].sort(
+      (a, b) => (Number(b.result.lastModified) || 0) - (Number(a.result.lastModified) || 0),
+    );
+  }
+  if (sort === 'title') {
+    return [...hits].sort((a, b) => (a.result.title || '').localeCompare(b.result.title || ''));
+  }
+  return hits;
+}
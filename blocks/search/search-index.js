@@ -0,0 +1,367 @@
+/*
+ * Search Index
+ * Client-side inverted index over query-index.json entries with stemming,
+ * typo tolerance and BM25F ranking.
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'our', 'that',
+  'the', 'their', 'then', 'there', 'these', 'this', 'to', 'was', 'we', 'what', 'when',
+  'where', 'which', 'who', 'will', 'with', 'you', 'your',
+]);
+
+/**
+ * Indexed fields and their relative weight when ranking.
+ */
+export const FIELD_BOOSTS = {
+  title: 3,
+  path: 1.5,
+  description: 1,
+};
+
+// BM25 saturation and length normalization parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// weights applied to non-exact term matches
+const PREFIX_WEIGHT = 0.8;
+const FUZZY_WEIGHT = 0.6;
+
+/* Porter stemmer (https://tartarus.org/martin/PorterStemmer/) */
+const c = '[^aeiou]';
+const v = '[aeiouy]';
+const C = `${c}[^aeiouy]*`;
+const V = `${v}[aeiou]*`;
+const MGR0 = new RegExp(`^(${C})?${V}${C}`);
+const MEQ1 = new RegExp(`^(${C})?${V}${C}(${V})?$`);
+const MGR1 = new RegExp(`^(${C})?${V}${C}${V}${C}`);
+const HAS_VOWEL = new RegExp(`^(${C})?${v}`);
+const CVC = new RegExp(`^${C}${v}[^aeiouwxy]$`);
+
+const STEP2 = {
+  ational: 'ate',
+  tional: 'tion',
+  enci: 'ence',
+  anci: 'ance',
+  izer: 'ize',
+  bli: 'ble',
+  alli: 'al',
+  entli: 'ent',
+  eli: 'e',
+  ousli: 'ous',
+  ization: 'ize',
+  ation: 'ate',
+  ator: 'ate',
+  alism: 'al',
+  iveness: 'ive',
+  fulness: 'ful',
+  ousness: 'ous',
+  aliti: 'al',
+  iviti: 'ive',
+  biliti: 'ble',
+  logi: 'log',
+};
+
+const STEP3 = {
+  icate: 'ic',
+  ative: '',
+  alize: 'al',
+  iciti: 'ic',
+  ical: 'ic',
+  ful: '',
+  ness: '',
+};
+
+const suffixRegExp = (suffixes) => new RegExp(`^(.+?)(${Object.keys(suffixes).join('|')})$`);
+const STEP2_RE = suffixRegExp(STEP2);
+const STEP3_RE = suffixRegExp(STEP3);
+const STEP4_RE = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/;
+
+/**
+ * Reduces an english word to its stem, e.g. "running" to "run".
+ * @param {string} word The lower cased word
+ * @returns {string} The stem
+ */
+export function stem(word) {
+  if (word.length < 3 || /[^a-z]/.test(word)) return word;
+
+  let w = word;
+  const firstY = w[0] === 'y';
+  if (firstY) w = `Y${w.substring(1)}`;
+
+  // step 1a: plurals
+  if (/(ss|i)es$/.test(w)) w = w.slice(0, -2);
+  else if (/[^s]s$/.test(w)) w = w.slice(0, -1);
+
+  // step 1b: past participles
+  let match = /^(.+?)eed$/.exec(w);
+  if (match) {
+    if (MGR0.test(match[1])) w = w.slice(0, -1);
+  } else {
+    match = /^(.+?)(ed|ing)$/.exec(w);
+    if (match && HAS_VOWEL.test(match[1])) {
+      [, w] = match;
+      if (/(at|bl|iz)$/.test(w)) w += 'e';
+      else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+      else if (CVC.test(w)) w += 'e';
+    }
+  }
+
+  // step 1c: terminal y
+  match = /^(.+?)y$/.exec(w);
+  if (match && HAS_VOWEL.test(match[1])) w = `${match[1]}i`;
+
+  // steps 2 and 3: double and single suffixes
+  match = STEP2_RE.exec(w);
+  if (match && MGR0.test(match[1])) w = match[1] + STEP2[match[2]];
+  match = STEP3_RE.exec(w);
+  if (match && MGR0.test(match[1])) w = match[1] + STEP3[match[2]];
+
+  // step 4: residual suffixes
+  match = STEP4_RE.exec(w);
+  if (match) {
+    if (MGR1.test(match[1])) [, w] = match;
+  } else {
+    match = /^(.+?)(s|t)(ion)$/.exec(w);
+    if (match && MGR1.test(match[1] + match[2])) w = match[1] + match[2];
+  }
+
+  // step 5: tidy up
+  match = /^(.+?)e$/.exec(w);
+  if (match && (MGR1.test(match[1]) || (MEQ1.test(match[1]) && !CVC.test(match[1])))) {
+    [, w] = match;
+  }
+  if (/ll$/.test(w) && MGR1.test(w)) w = w.slice(0, -1);
+
+  return firstY ? `y${w.substring(1)}` : w;
+}
+
+/**
+ * Splits a text into lower cased words without diacritics.
+ * @param {string} text The text
+ * @returns {string[]} The words
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  return String(text)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((token) => !!token);
+}
+
+/**
+ * Turns a text into the list of terms used by the index.
+ * @param {string} text The text
+ * @returns {string[]} The stemmed terms, without stop words
+ */
+export function analyze(text) {
+  return tokenize(text)
+    .filter((token) => !STOP_WORDS.has(token))
+    .map(stem);
+}
+
+/**
+ * Computes the Damerau-Levenshtein (optimal string alignment) distance,
+ * giving up as soon as it exceeds a maximum.
+ * @param {string} a The first string
+ * @param {string} b The second string
+ * @param {number} max The maximum distance of interest
+ * @returns {number} The distance, or max + 1 if it is larger than max
+ */
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = [];
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Number of typos tolerated for a query term of a given length.
+ * @param {string} term The query term
+ * @returns {number} The maximum edit distance
+ */
+function maxTypos(term) {
+  if (term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+}
+
+/**
+ * Creates an empty search index.
+ * @returns {object} The search index
+ */
+export function createIndex() {
+  const fields = Object.keys(FIELD_BOOSTS);
+  return {
+    docs: [],
+    lengths: [],
+    totals: Object.fromEntries(fields.map((field) => [field, 0])),
+    averages: Object.fromEntries(fields.map((field) => [field, 0])),
+    postings: new Map(),
+    terms: [],
+    // the indexed words and their stems
+    words: new Map(),
+  };
+}
+
+/**
+ * Adds query index entries to a search index.
+ * @param {object} index The search index
+ * @param {object[]} data The query index entries
+ * @returns {object} The search index
+ */
+export function addDocuments(index, data) {
+  const fields = Object.keys(FIELD_BOOSTS);
+  const { postings, totals, words } = index;
+
+  data.forEach((entry) => {
+    const docId = index.docs.length;
+    const values = {
+      title: [entry.header, entry.title].filter((value) => !!value).join(' '),
+      path: entry.path,
+      description: entry.description,
+    };
+    const docLengths = {};
+    fields.forEach((field) => {
+      const terms = tokenize(values[field])
+        .filter((token) => !STOP_WORDS.has(token))
+        .map((word) => {
+          if (!words.has(word)) words.set(word, stem(word));
+          return words.get(word);
+        });
+      docLengths[field] = terms.length;
+      totals[field] += terms.length;
+      terms.forEach((term) => {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const docs = postings.get(term);
+        if (!docs.has(docId)) docs.set(docId, {});
+        const frequencies = docs.get(docId);
+        frequencies[field] = (frequencies[field] || 0) + 1;
+      });
+    });
+    index.docs.push(entry);
+    index.lengths.push(docLengths);
+  });
+
+  fields.forEach((field) => {
+    index.averages[field] = index.docs.length ? totals[field] / index.docs.length : 0;
+  });
+  index.terms = [...postings.keys()];
+  return index;
+}
+
+/**
+ * Finds the indexed terms matching a query word, exactly, by prefix or with typos.
+ * @param {object} index The search index
+ * @param {string} token The query word
+ * @param {boolean} prefix Whether the word may be incomplete
+ * @returns {Map<string, number>} The matching terms and their weights
+ */
+function expandTerm(index, token, prefix) {
+  const term = stem(token);
+  const matches = new Map();
+  const addMatch = (candidate, weight) => {
+    if (weight > (matches.get(candidate) || 0)) matches.set(candidate, weight);
+  };
+  const max = maxTypos(term);
+  index.terms.forEach((candidate) => {
+    if (candidate === term) {
+      addMatch(candidate, 1);
+    } else if (prefix && candidate.startsWith(term)) {
+      addMatch(candidate, PREFIX_WEIGHT);
+    } else if (max) {
+      const distance = editDistance(term, candidate, max);
+      if (distance <= max) addMatch(candidate, FUZZY_WEIGHT ** distance);
+    }
+  });
+  // a typo or an incomplete word may not stem like the word meant,
+  // so the words are also compared as typed
+  const maxWord = maxTypos(token);
+  index.words.forEach((candidate, word) => {
+    if (prefix && word.startsWith(token)) {
+      addMatch(candidate, word === token ? 1 : PREFIX_WEIGHT);
+    } else if (maxWord) {
+      const distance = editDistance(token, word, maxWord);
+      if (distance <= maxWord) addMatch(candidate, FUZZY_WEIGHT ** distance);
+    }
+  });
+  return matches;
+}
+
+/**
+ * Scores a single indexed term for a document using BM25F.
+ * @param {object} index The search index
+ * @param {number} idf The inverse document frequency of the term
+ * @param {number} docId The document
+ * @param {object} frequencies The term frequency per field in the document
+ * @returns {number} The score
+ */
+function scoreTerm(index, idf, docId, frequencies) {
+  const tf = Object.entries(frequencies).reduce((acc, [field, frequency]) => {
+    const norm = 1 - B + B * (index.lengths[docId][field] / (index.averages[field] || 1));
+    return acc + (FIELD_BOOSTS[field] * frequency) / norm;
+  }, 0);
+  return idf * ((tf * (K1 + 1)) / (tf + K1));
+}
+
+/**
+ * Searches the index.
+ * @param {object} index The search index
+ * @param {string} query The raw query
+ * @returns {object[]} The hits, best first, each with the entry, score and matched terms
+ */
+export function searchIndex(index, query) {
+  const tokens = tokenize(query);
+  const queryTerms = tokens.filter((token) => !STOP_WORDS.has(token));
+  if (!queryTerms.length) return [];
+
+  const total = index.docs.length;
+  const hits = new Map();
+  queryTerms.forEach((token, i) => {
+    // the last word may still be being typed
+    const expansions = expandTerm(index, token, i === queryTerms.length - 1);
+    const best = new Map();
+    expansions.forEach((weight, term) => {
+      const docs = index.postings.get(term);
+      const idf = Math.log(1 + (total - docs.size + 0.5) / (docs.size + 0.5));
+      docs.forEach((frequencies, docId) => {
+        const score = weight * scoreTerm(index, idf, docId, frequencies);
+        const current = best.get(docId);
+        if (!current || current.score < score) best.set(docId, { score, term });
+      });
+    });
+    best.forEach(({ score, term }, docId) => {
+      if (!hits.has(docId)) hits.set(docId, { score: 0, matched: 0, terms: new Set() });
+      const hit = hits.get(docId);
+      hit.score += score;
+      hit.matched += 1;
+      hit.terms.add(term);
+    });
+  });
+
+  return [...hits.entries()]
+    .map(([docId, hit]) => ({
+      result: index.docs[docId],
+      // favor documents matching more of the query terms
+      score: hit.score * (hit.matched / queryTerms.length),
+      terms: [...hit.terms],
+    }))
+    .sort((a, b) => b.score - a.score);
+}
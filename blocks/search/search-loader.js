@@ -0,0 +1,147 @@
+/*
+ * Search Loader
+ * Loads query-index.json page by page into a search index,
+ * cached in memory and in IndexedDB.
+ */
+
+import { addDocuments, createIndex } from './search-index.js';
+
+const PAGE_SIZE = 500;
+
+const DB_NAME = 'search';
+const DB_STORE = 'query-indexes';
+// how long a persisted query index is used before being loaded again
+const CACHE_TTL = 60 * 60 * 1000;
+
+const loaders = {};
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Reads a previously persisted query index.
+ * @param {string} source The query index URL
+ * @returns {Promise<object[]>} The entries, or null if there are none or they expired
+ */
+async function readCache(source) {
+  try {
+    const db = await openDatabase();
+    const cached = await new Promise((resolve, reject) => {
+      const request = db.transaction(DB_STORE).objectStore(DB_STORE).get(source);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    db.close();
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) return cached.data;
+  } catch (e) {
+    // IndexedDB not available
+  }
+  return null;
+}
+
+/**
+ * Persists a fully loaded query index.
+ * @param {string} source The query index URL
+ * @param {object[]} data The entries
+ */
+async function writeCache(source, data) {
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction(DB_STORE, 'readwrite');
+    transaction.objectStore(DB_STORE).put({ data, timestamp: Date.now() }, source);
+    transaction.oncomplete = () => db.close();
+  } catch (e) {
+    // IndexedDB not available
+  }
+}
+
+/**
+ * Fetches one page of a query index.
+ * @param {string} source The query index URL
+ * @param {number} offset The offset of the first entry
+ * @param {AbortSignal} signal Signal to abort the request
+ * @returns {Promise<object>} The page with data, offset and total, or null on error
+ */
+async function fetchPage(source, offset, signal) {
+  const url = new URL(source, window.location.href);
+  url.searchParams.set('offset', offset);
+  url.searchParams.set('limit', PAGE_SIZE);
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    // eslint-disable-next-line no-console
+    console.error('error loading API response', response);
+    return null;
+  }
+  const json = await response.json();
+  if (!json || !json.data) {
+    // eslint-disable-next-line no-console
+    console.error('empty API response', source);
+    return null;
+  }
+  return json;
+}
+
+/**
+ * Loads a query index into a search index, page by page. Pages loaded before an
+ * abort are kept, so that the next call resumes where the previous one stopped.
+ * @param {string} source The query index URL
+ * @param {object} [options] Options
+ * @param {AbortSignal} [options.signal] Signal to abort loading
+ * @param {function} [options.onPage] Called with the search index whenever entries were added
+ * @returns {Promise<object>} The search index
+ */
+// eslint-disable-next-line import/prefer-default-export
+export async function loadSearchIndex(source, { signal, onPage = () => {} } = {}) {
+  if (!loaders[source]) {
+    loaders[source] = {
+      index: createIndex(),
+      offset: 0,
+      complete: false,
+      pending: readCache(source).then((data) => {
+        if (data) {
+          addDocuments(loaders[source].index, data);
+          loaders[source].complete = true;
+        }
+      }),
+    };
+  }
+  const loader = loaders[source];
+  // wait for previous (possibly aborted) loads of the same index to settle. Of the calls
+  // woken by an aborted load, the first resumes it and the others wait for that one
+  let pending;
+  while (pending !== loader.pending) {
+    pending = loader.pending;
+    // eslint-disable-next-line no-await-in-loop
+    await pending.catch(() => {});
+    signal?.throwIfAborted();
+  }
+
+  if (loader.index.docs.length) onPage(loader.index);
+  if (loader.complete) return loader.index;
+
+  loader.pending = (async () => {
+    while (!loader.complete) {
+      // eslint-disable-next-line no-await-in-loop
+      const page = await fetchPage(source, loader.offset, signal);
+      signal?.throwIfAborted();
+      if (!page) return;
+
+      addDocuments(loader.index, page.data);
+      loader.offset += page.data.length;
+      // indexes without paging information are served in one go
+      loader.complete = !page.data.length
+        || page.total === undefined
+        || loader.offset >= page.total;
+      onPage(loader.index);
+    }
+    writeCache(source, loader.index.docs);
+  })();
+  await loader.pending;
+  return loader.index;
+}
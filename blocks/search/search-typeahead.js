@@ -0,0 +1,199 @@
+/*
+ * Search Typeahead
+ * ARIA combobox suggesting recent searches and matching page titles for a search input.
+ * https://www.w3.org/WAI/ARIA/apg/patterns/combobox/
+ */
+
+import { searchIndex } from './search-index.js';
+import { loadSearchIndex } from './search-loader.js';
+
+const RECENT_SEARCHES_KEY = 'search-recent';
+const MAX_RECENT_SEARCHES = 5;
+const MAX_PAGE_SUGGESTIONS = 5;
+const SUGGEST_DEBOUNCE = 150;
+
+/**
+ * Gets the recent searches, most recent first.
+ * @returns {string[]} The recent search terms
+ */
+export function getRecentSearches() {
+  try {
+    const recent = JSON.parse(localStorage.getItem(RECENT_SEARCHES_KEY));
+    return Array.isArray(recent) ? recent : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Remembers a search term as the most recent search.
+ * @param {string} term The search term
+ */
+export function addRecentSearch(term) {
+  const value = (term || '').trim();
+  if (!value) return;
+  const recent = [
+    value,
+    ...getRecentSearches().filter((other) => other.toLowerCase() !== value.toLowerCase()),
+  ].slice(0, MAX_RECENT_SEARCHES);
+  try {
+    localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(recent));
+  } catch (e) {
+    // storage not available
+  }
+}
+
+let typeaheadId = 0;
+
+/**
+ * Turns a search input into a combobox with a suggestions listbox.
+ * @param {HTMLInputElement} input The search input
+ * @param {object} config The search config
+ * @param {string} config.source The query index URL
+ * @param {function} config.translate Returns the text of a placeholder
+ * @param {function} onSubmit Called with the search term when a search is submitted
+ * @returns {Element} The listbox, to be placed next to the input
+ */
+export function decorateTypeahead(input, config, onSubmit) {
+  typeaheadId += 1;
+  const listbox = document.createElement('ul');
+  listbox.id = `search-typeahead-${typeaheadId}`;
+  listbox.className = 'search-typeahead';
+  listbox.setAttribute('role', 'listbox');
+  listbox.setAttribute('aria-label', config.translate('searchSuggestions', 'Suggestions'));
+  listbox.hidden = true;
+
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-expanded', 'false');
+  input.setAttribute('aria-controls', listbox.id);
+  input.setAttribute('autocomplete', 'off');
+
+  let options = [];
+  let active = -1;
+  let controller;
+  let debounce;
+
+  const close = () => {
+    listbox.hidden = true;
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+    active = -1;
+  };
+
+  const setActive = (idx) => {
+    options.forEach((option, i) => option.setAttribute('aria-selected', i === idx));
+    active = idx;
+    if (idx >= 0) {
+      input.setAttribute('aria-activedescendant', options[idx].id);
+      options[idx].scrollIntoView({ block: 'nearest' });
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  };
+
+  const select = (option) => {
+    if (option.dataset.path) {
+      addRecentSearch(input.value);
+      window.location.href = option.dataset.path;
+      return;
+    }
+    input.value = option.dataset.term;
+    close();
+    addRecentSearch(input.value);
+    onSubmit(input.value);
+  };
+
+  const render = (suggestions) => {
+    listbox.innerHTML = '';
+    options = suggestions.map((suggestion, i) => {
+      const option = document.createElement('li');
+      option.id = `${listbox.id}-option-${i}`;
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', 'false');
+      if (suggestion.path) {
+        option.className = 'search-typeahead-page';
+        option.dataset.path = suggestion.path;
+        option.textContent = suggestion.title || suggestion.path;
+      } else {
+        option.className = 'search-typeahead-recent';
+        option.dataset.term = suggestion.term;
+        option.textContent = suggestion.term;
+      }
+      // keep the focus on the input
+      option.addEventListener('mousedown', (e) => e.preventDefault());
+      option.addEventListener('click', () => select(option));
+      listbox.append(option);
+      return option;
+    });
+    active = -1;
+    input.removeAttribute('aria-activedescendant');
+    listbox.hidden = !options.length;
+    input.setAttribute('aria-expanded', !!options.length);
+  };
+
+  const suggest = async () => {
+    // the input may be filled programmatically, e.g. from the URL
+    if (document.activeElement !== input) return;
+    const value = input.value.trim();
+    const recent = getRecentSearches()
+      .filter((term) => term !== value && term.toLowerCase().startsWith(value.toLowerCase()))
+      .map((term) => ({ term }));
+    render(recent);
+    if (value.length < 2) return;
+
+    if (controller) controller.abort();
+    controller = new AbortController();
+    try {
+      const index = await loadSearchIndex(config.source, { signal: controller.signal });
+      // the value changed while the index was loading
+      if (input.value.trim() !== value || document.activeElement !== input) return;
+      const pages = searchIndex(index, value)
+        .slice(0, MAX_PAGE_SUGGESTIONS)
+        .map(({ result }) => ({ title: result.title, path: result.path }));
+      render([...recent, ...pages]);
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        // eslint-disable-next-line no-console
+        console.error('search suggestions failed', error);
+      }
+    }
+  };
+
+  input.addEventListener('input', () => {
+    clearTimeout(debounce);
+    debounce = setTimeout(suggest, SUGGEST_DEBOUNCE);
+  });
+  input.addEventListener('focus', suggest);
+  input.addEventListener('blur', close);
+
+  input.addEventListener('keydown', (e) => {
+    const expanded = !listbox.hidden;
+    if (e.code === 'ArrowDown') {
+      e.preventDefault();
+      if (!expanded) suggest();
+      else setActive((active + 1) % options.length);
+    } else if (e.code === 'ArrowUp') {
+      e.preventDefault();
+      if (expanded) setActive(active <= 0 ? options.length - 1 : active - 1);
+    } else if (e.code === 'Enter') {
+      e.preventDefault();
+      if (expanded && active >= 0) {
+        select(options[active]);
+      } else {
+        close();
+        addRecentSearch(input.value);
+        onSubmit(input.value);
+      }
+    } else if (e.code === 'Escape' && expanded) {
+      // only close the suggestions, without clearing the search or closing the nav
+      e.preventDefault();
+      e.stopPropagation();
+      close();
+    } else if (e.code === 'Tab') {
+      close();
+    }
+  });
+
+  return listbox;
+}
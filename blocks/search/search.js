@@ -1,11 +1,27 @@
 import {
   createOptimizedPicture,
   decorateIcons,
-  fetchPlaceholders,
 } from '../../scripts/aem.js';
+import { getLocalePrefix } from '../../scripts/i18n.js';
+import { loadPlaceholders } from '../../scripts/placeholders.js';
+import { searchIndex, tokenize } from './search-index.js';
+import { loadSearchIndex } from './search-loader.js';
+import { addRecentSearch, decorateTypeahead } from './search-typeahead.js';
+import {
+  FACETS,
+  SORTS,
+  countFacets,
+  filterHits,
+  readSelection,
+  sortHits,
+  writeSelection,
+} from './search-facets.js';
 
 const searchParams = new URLSearchParams(window.location.search);
 
+// delay before searching, so that fast typing does not trigger a search per keystroke
+const SEARCH_DEBOUNCE = 250;
+
 function findNextHeading(el) {
   let preceedingEl = el.parentElement.previousElement || el.parentElement.parentElement;
   let h = 'H2';
@@ -65,22 +81,10 @@ function highlightTextElements(terms, elements) {
   });
 }
 
+// entries of the query index, shared with the search index so they are fetched once
 export async function fetchData(source) {
-  const response = await fetch(source);
-  if (!response.ok) {
-    // eslint-disable-next-line no-console
-    console.error('error loading API response', response);
-    return null;
-  }
-
-  const json = await response.json();
-  if (!json) {
-    // eslint-disable-next-line no-console
-    console.error('empty API response', source);
-    return null;
-  }
-
-  return json.data;
+  const index = await loadSearchIndex(source);
+  return index.docs;
 }
 
 function renderResult(result, searchTerms, titleTag) {
@@ -114,104 +118,156 @@ function renderResult(result, searchTerms, titleTag) {
   return li;
 }
 
+function updateUrl() {
+  if (window.history.replaceState) {
+    const url = new URL(window.location.href);
+    url.search = searchParams.toString();
+    window.history.replaceState({}, '', url.toString());
+  }
+}
+
 function clearSearchResults(block) {
   const searchResults = block.querySelector('.search-results');
   searchResults.innerHTML = '';
 }
 
-function clearSearch(block) {
+function clearSearch(block, config) {
+  if (config.controller) config.controller.abort();
   clearSearchResults(block);
-  if (window.history.replaceState) {
-    const url = new URL(window.location.href);
-    url.search = '';
-    searchParams.delete('q');
-    window.history.replaceState({}, '', url.toString());
-  }
+  config.hits = [];
+  block.querySelector('.search-facets').innerHTML = '';
+  block.querySelector('.search-controls').hidden = true;
+  // keep the facet selection, only the query is cleared
+  searchParams.delete('q');
+  updateUrl();
 }
 
-async function renderResults(block, config, filteredData, searchTerms) {
+async function renderResults(block, config, hits, searchTerms) {
   clearSearchResults(block);
   const searchResults = block.querySelector('.search-results');
   const headingTag = searchResults.dataset.h;
 
-  if (filteredData.length) {
+  searchResults.setAttribute('aria-busy', config.loading);
+  if (hits.length) {
     searchResults.classList.remove('no-results');
-    filteredData.forEach((result) => {
-      const li = renderResult(result, searchTerms, headingTag);
+    hits.forEach(({ result, terms }) => {
+      const li = renderResult(result, [...searchTerms, ...terms], headingTag);
       searchResults.append(li);
     });
-  } else {
+  } else if (!config.loading) {
     const noResultsMessage = document.createElement('li');
     searchResults.classList.add('no-results');
-    noResultsMessage.textContent = config.placeholders.searchNoResults || 'No results found.';
+    noResultsMessage.textContent = config.translate('searchNoResults', 'No results found.');
     searchResults.append(noResultsMessage);
   }
 }
 
-function compareFound(hit1, hit2) {
-  return hit1.minIdx - hit2.minIdx;
-}
-
-function filterData(searchTerms, data) {
-  const foundInHeader = [];
-  const foundInMeta = [];
-
-  data.forEach((result) => {
-    let minIdx = -1;
-
-    searchTerms.forEach((term) => {
-      const idx = (result.header || result.title).toLowerCase().indexOf(term);
-      if (idx < 0) return;
-      if (minIdx < idx) minIdx = idx;
-    });
-
-    if (minIdx >= 0) {
-      foundInHeader.push({ minIdx, result });
-      return;
-    }
-
-    const metaContents = `${result.title} ${result.description} ${result.path.split('/').pop()}`.toLowerCase();
-    searchTerms.forEach((term) => {
-      const idx = metaContents.indexOf(term);
-      if (idx < 0) return;
-      if (minIdx < idx) minIdx = idx;
+function renderFacets(block, config, selection) {
+  const facets = block.querySelector('.search-facets');
+  // the checkbox toggled keeps the focus once the facets are rendered again
+  const focused = facets.contains(document.activeElement) ? document.activeElement : null;
+  facets.innerHTML = '';
+  countFacets(config.hits, selection).forEach(({ facet, values }) => {
+    if (!values.length) return;
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'search-facet';
+    const legend = document.createElement('legend');
+    legend.textContent = config.translate(facet.placeholder, facet.label);
+    fieldset.append(legend);
+
+    values.forEach(({ value, count }) => {
+      const range = facet.ranges && facet.ranges.find((r) => r.value === value);
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.name = facet.param;
+      input.value = value;
+      input.checked = selection[facet.param].includes(value);
+      const text = document.createElement('span');
+      text.textContent = range ? config.translate(range.placeholder, range.label) : value;
+      const countEl = document.createElement('span');
+      countEl.className = 'search-facet-count';
+      countEl.textContent = count;
+      label.append(input, text, countEl);
+      fieldset.append(label);
     });
-
-    if (minIdx >= 0) {
-      foundInMeta.push({ minIdx, result });
-    }
+    facets.append(fieldset);
   });
+  if (focused) {
+    const inputs = [...facets.querySelectorAll('input')];
+    // or another value of the facet, if the value is gone
+    const input = inputs.find(({ name, value }) => name === focused.name && value === focused.value)
+      || inputs.find(({ name }) => name === focused.name);
+    if (input) input.focus();
+  }
+}
 
-  return [
-    ...foundInHeader.sort(compareFound),
-    ...foundInMeta.sort(compareFound),
-  ].map((item) => item.result);
+function updateResults(block, config) {
+  const selection = readSelection(searchParams);
+  block.querySelector('.search-controls').hidden = !config.hits.length;
+  renderFacets(block, config, selection);
+  const hits = sortHits(filterHits(config.hits, selection), searchParams.get('sort'));
+  renderResults(block, config, hits, config.searchTerms);
 }
 
-async function handleSearch(e, block, config) {
-  const searchValue = e.target.value;
+async function handleSearch(block, config, searchValue) {
   searchParams.set('q', searchValue);
-  if (window.history.replaceState) {
-    const url = new URL(window.location.href);
-    url.search = searchParams.toString();
-    window.history.replaceState({}, '', url.toString());
-  }
+  updateUrl();
 
   if (searchValue.length < 3) {
-    clearSearch(block);
+    clearSearch(block, config);
     return;
   }
-  const searchTerms = searchValue.toLowerCase().split(/\s+/).filter((term) => !!term);
 
-  const data = await fetchData(config.source);
-  const filteredData = filterData(searchTerms, data);
-  await renderResults(block, config, filteredData, searchTerms);
+  // abort the search for the previous value, if still running
+  if (config.controller) config.controller.abort();
+  const controller = new AbortController();
+  config.controller = controller;
+  config.searchTerms = tokenize(searchValue);
+  config.loading = true;
+  try {
+    // render results as soon as each page of the index arrives
+    const index = await loadSearchIndex(config.source, {
+      signal: controller.signal,
+      onPage: (partialIndex) => {
+        config.hits = searchIndex(partialIndex, searchValue);
+        updateResults(block, config);
+      },
+    });
+    config.loading = false;
+    config.hits = searchIndex(index, searchValue);
+    updateResults(block, config);
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      // eslint-disable-next-line no-console
+      console.error('search failed', error);
+    }
+  } finally {
+    // a failed search shows what it found, an aborted one leaves the results to the next
+    if (config.loading && !controller.signal.aborted) {
+      config.loading = false;
+      updateResults(block, config);
+    }
+  }
+}
+
+function submitSearch(block, config, searchValue) {
+  if (config.compact) {
+    const url = new URL(config.searchPage, window.location.href);
+    url.searchParams.set('q', searchValue);
+    window.location.href = url.href;
+  } else {
+    handleSearch(block, config, searchValue);
+  }
 }
 
 function searchResultsContainer(block) {
   const results = document.createElement('ul');
   results.className = 'search-results';
   results.dataset.h = findNextHeading(block);
+  results.addEventListener('click', (e) => {
+    if (e.target.closest('a')) addRecentSearch(searchParams.get('q'));
+  });
   return results;
 }
 
@@ -220,17 +276,75 @@ function searchInput(block, config) {
   input.setAttribute('type', 'search');
   input.className = 'search-input';
 
-  const searchPlaceholder = config.placeholders.searchPlaceholder || 'Search...';
+  const searchPlaceholder = config.translate('searchPlaceholder', 'Search...');
   input.placeholder = searchPlaceholder;
   input.setAttribute('aria-label', searchPlaceholder);
 
-  input.addEventListener('input', (e) => {
-    handleSearch(e, block, config);
+  // the compact search only suggests, results are shown on the search page
+  if (!config.compact) {
+    let debounce;
+    input.addEventListener('input', () => {
+      clearTimeout(debounce);
+      debounce = setTimeout(() => handleSearch(block, config, input.value), SEARCH_DEBOUNCE);
+    });
+  }
+
+  return input;
+}
+
+function searchSort(block, config) {
+  const sort = document.createElement('label');
+  sort.className = 'search-sort';
+  const text = document.createElement('span');
+  text.textContent = config.translate('searchSortBy', 'Sort by');
+  const select = document.createElement('select');
+  SORTS.forEach(({ value, label, placeholder }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = config.translate(placeholder, label);
+    select.append(option);
+  });
+  select.value = searchParams.get('sort') || SORTS[0].value;
+  select.addEventListener('change', () => {
+    if (select.value === SORTS[0].value) searchParams.delete('sort');
+    else searchParams.set('sort', select.value);
+    updateUrl();
+    updateResults(block, config);
   });
+  sort.append(text, select);
+  return sort;
+}
 
-  input.addEventListener('keyup', (e) => { if (e.code === 'Escape') { clearSearch(block); } });
+function searchFacets(block, config) {
+  const facets = document.createElement('div');
+  facets.className = 'search-facets';
+  facets.addEventListener('change', (e) => {
+    const { name, value, checked } = e.target;
+    const facet = FACETS.find(({ param }) => param === name);
+    if (!facet) return;
+    const selection = readSelection(searchParams);
+    if (facet.single) {
+      selection[name] = checked ? [value] : [];
+    } else {
+      selection[name] = selection[name].filter((selected) => selected !== value);
+      if (checked) selection[name].push(value);
+    }
+    writeSelection(searchParams, selection);
+    updateUrl();
+    updateResults(block, config);
+  });
+  return facets;
+}
 
-  return input;
+function searchControls(block, config) {
+  const controls = document.createElement('div');
+  controls.className = 'search-controls';
+  controls.hidden = true;
+  controls.append(
+    searchSort(block, config),
+    searchFacets(block, config),
+  );
+  return controls;
 }
 
 function searchIcon() {
@@ -242,24 +356,49 @@ function searchIcon() {
 function searchBox(block, config) {
   const box = document.createElement('div');
   box.classList.add('search-box');
+  const input = searchInput(block, config);
+  const suggestions = decorateTypeahead(
+    input,
+    config,
+    (searchValue) => submitSearch(block, config, searchValue),
+  );
+  // registered after the typeahead, which prevents the default of the Escape keys it handles
+  input.addEventListener('keydown', (e) => {
+    if (e.code === 'Escape' && !e.defaultPrevented && !config.compact) clearSearch(block, config);
+  });
   box.append(
     searchIcon(),
-    searchInput(block, config),
+    input,
+    suggestions,
   );
 
   return box;
 }
 
 export default async function decorate(block) {
-  const placeholders = await fetchPlaceholders();
-  const source = block.querySelector('a[href]')?.href || `${window.hlx.codeBasePath}/query-index.json`;
+  const translate = await loadPlaceholders();
+  const [indexRow, pageRow] = block.children;
+  const localePrefix = `${window.hlx.codeBasePath}${getLocalePrefix()}`;
+  const source = indexRow?.querySelector('a[href]')?.href || `${localePrefix}/query-index.json`;
+  const config = {
+    source,
+    translate,
+    compact: block.classList.contains('compact'),
+    searchPage: pageRow?.querySelector('a[href]')?.href || `${localePrefix}/search`,
+    hits: [],
+    searchTerms: [],
+    loading: false,
+  };
   block.innerHTML = '';
-  block.append(
-    searchBox(block, { source, placeholders }),
-    searchResultsContainer(block),
-  );
+  block.append(searchBox(block, config));
+  if (!config.compact) {
+    block.append(
+      searchControls(block, config),
+      searchResultsContainer(block),
+    );
+  }
 
-  if (searchParams.get('q')) {
+  if (searchParams.get('q') && !config.compact) {
     const input = block.querySelector('input');
     input.value = searchParams.get('q');
     input.dispatchEvent(new Event('input'));
@@ -4,111 +4,67 @@
  * https://www.hlx.live/developer/block-collection/video
  */
 
-const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
-
-function embedYoutube(url, autoplay, background) {
-  const usp = new URLSearchParams(url.search);
-  let suffix = '';
-  if (background || autoplay) {
-    const suffixParams = {
-      autoplay: autoplay ? '1' : '0',
-      mute: background ? '1' : '0',
-      controls: background ? '0' : '1',
-      disablekb: background ? '1' : '0',
-      loop: background ? '1' : '0',
-      playsinline: background ? '1' : '0',
-    };
-    suffix = `&${Object.entries(suffixParams).map(([k, v]) => `${k}=${encodeURIComponent(v)}`).join('&')}`;
-  }
-  let vid = usp.get('v') ? encodeURIComponent(usp.get('v')) : '';
-  const embed = url.pathname;
-  if (url.origin.includes('youtu.be')) {
-    [, vid] = url.pathname.split('/');
-  }
-
-  const temp = document.createElement('div');
-  temp.innerHTML = `<div style="left: 0; width: 100%; height: 0; position: relative; padding-bottom: 56.25%;">
-      <iframe src="https://www.youtube.com${vid ? `/embed/${vid}?rel=0&v=${vid}${suffix}` : embed}" style="border: 0; top: 0; left: 0; width: 100%; height: 100%; position: absolute;" 
-      allow="autoplay; fullscreen; picture-in-picture; encrypted-media; accelerometer; gyroscope; picture-in-picture" allowfullscreen="" scrolling="no" title="Content from Youtube" loading="lazy"></iframe>
-    </div>`;
-  return temp.children.item(0);
-}
+import { createPlayer } from '../../scripts/video-providers.js';
+import trackVideo from '../../scripts/video-tracking.js';
 
-function embedVimeo(url, autoplay, background) {
-  const [, video] = url.pathname.split('/');
-  let suffix = '';
-  if (background || autoplay) {
-    const suffixParams = {
-      autoplay: autoplay ? '1' : '0',
-      background: background ? '1' : '0',
-    };
-    suffix = `?${Object.entries(suffixParams).map(([k, v]) => `${k}=${encodeURIComponent(v)}`).join('&')}`;
-  }
-  const temp = document.createElement('div');
-  temp.innerHTML = `<div style="left: 0; width: 100%; height: 0; position: relative; padding-bottom: 56.25%;">
-      <iframe src="https://player.vimeo.com/video/${video}${suffix}" 
-      style="border: 0; top: 0; left: 0; width: 100%; height: 100%; position: absolute;" 
-      frameborder="0" allow="autoplay; fullscreen; picture-in-picture" allowfullscreen  
-      title="Content from Vimeo" loading="lazy"></iframe>
-    </div>`;
-  return temp.children.item(0);
-}
+const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
 
-function getVideoElement(source, autoplay, background) {
-  const video = document.createElement('video');
-  video.setAttribute('controls', '');
-  if (autoplay) video.setAttribute('autoplay', '');
-  if (background) {
-    video.setAttribute('loop', '');
-    video.setAttribute('playsinline', '');
-    video.removeAttribute('controls');
-    video.addEventListener('canplay', () => {
-      video.muted = true;
-      if (autoplay) video.play();
-    });
+/**
+ * Gets the text track of a WebVTT link. The language is taken from the file name, e.g.
+ * video.de.vtt, captions rather than subtitles are marked by the name, e.g. video.captions.en.vtt.
+ * @param {HTMLAnchorElement} a The link
+ * @returns {object} The track with src, srclang, label and kind
+ */
+function getTrack(a) {
+  const { pathname } = new URL(a.href);
+  const [, srclang] = pathname.match(/\.([a-z]{2,3}(?:-[a-z0-9]+)?)\.vtt$/i) || [];
+  const text = a.textContent.trim();
+  let label = text && text !== a.href ? text : '';
+  if (!label && srclang) {
+    try {
+      label = new Intl.DisplayNames([srclang], { type: 'language' }).of(srclang);
+    } catch (e) {
+      label = srclang;
+    }
   }
-
-  const sourceEl = document.createElement('source');
-  sourceEl.setAttribute('src', source);
-  sourceEl.setAttribute('type', `video/${source.split('.').pop()}`);
-  video.append(sourceEl);
-
-  return video;
+  return {
+    src: a.href,
+    srclang,
+    label,
+    kind: /caption/i.test(pathname.split('/').pop()) ? 'captions' : 'subtitles',
+  };
 }
 
-const loadVideoEmbed = (block, link, autoplay, background) => {
+const loadVideoEmbed = (block, link, autoplay, background, media = {}) => {
   if (block.dataset.embedLoaded === 'true') {
     return;
   }
-  const url = new URL(link);
-
-  const isYoutube = link.includes('youtube') || link.includes('youtu.be');
-  const isVimeo = link.includes('vimeo');
 
-  if (isYoutube) {
-    const embedWrapper = embedYoutube(url, autoplay, background);
-    block.append(embedWrapper);
-    embedWrapper.querySelector('iframe').addEventListener('load', () => {
-      block.dataset.embedLoaded = true;
-    });
-  } else if (isVimeo) {
-    const embedWrapper = embedVimeo(url, autoplay, background);
-    block.append(embedWrapper);
-    embedWrapper.querySelector('iframe').addEventListener('load', () => {
-      block.dataset.embedLoaded = true;
-    });
-  } else {
-    const videoEl = getVideoElement(link, autoplay, background);
-    block.append(videoEl);
-    videoEl.addEventListener('canplay', () => {
-      block.dataset.embedLoaded = true;
-    });
-  }
+  // links no provider matches are played as video files
+  const options = { autoplay, background, ...media };
+  const player = createPlayer(link, options)
+    || createPlayer(link, { ...options, provider: 'native' });
+  const markLoaded = () => {
+    block.dataset.embedLoaded = true;
+  };
+  // iframes report load, videos canplay, neither bubbles
+  player.element.addEventListener('load', markLoaded, { capture: true, once: true });
+  player.element.addEventListener('canplay', markLoaded, { capture: true, once: true });
+  // background videos play by themselves, they do not tell about engagement
+  if (!background) trackVideo(block, player);
+  block.append(player.element);
 };
 
 export default async function decorate(block) {
   const placeholder = block.querySelector('picture');
-  const link = block.querySelector('a').href;
+  // the first link is the video, further links are renditions of it or WebVTT tracks
+  const [{ href: link }, ...links] = block.querySelectorAll('a');
+  const isTrack = (a) => new URL(a.href).pathname.endsWith('.vtt');
+  const media = {
+    sources: links.filter((a) => !isTrack(a)).map((a) => a.href),
+    tracks: links.filter(isTrack).map(getTrack),
+    poster: placeholder?.querySelector('img')?.src,
+  };
   block.textContent = '';
   block.dataset.embedLoaded = false;
 
@@ -126,7 +82,7 @@ export default async function decorate(block) {
       );
       wrapper.addEventListener('click', () => {
         wrapper.remove();
-        loadVideoEmbed(block, link, true, false);
+        loadVideoEmbed(block, link, true, false, media);
       });
     }
     block.append(wrapper);
@@ -137,7 +93,7 @@ export default async function decorate(block) {
       if (entries.some((e) => e.isIntersecting)) {
         observer.disconnect();
         const playOnLoad = autoplay && !prefersReducedMotion.matches;
-        loadVideoEmbed(block, link, playOnLoad, autoplay);
+        loadVideoEmbed(block, link, playOnLoad, autoplay, media);
       }
     });
     observer.observe(block);
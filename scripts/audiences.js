@@ -0,0 +1,144 @@
+/*
+ * Audiences
+ * Matches visitors against audience conditions, comma separated, all of which must match:
+ * param:utm_campaign=spring, cookie:tier=gold, geo:DE or geo:US-CA, device:mobile,
+ * date:2026-12-01..2026-12-24, and segment:vip for segments of the audiences sheet.
+ */
+
+import { getMetadata } from './aem.js';
+
+// segments, with their conditions in the same syntax
+const AUDIENCES_PATH = '/audiences.json';
+let segmentsRequest;
+let geoRequest;
+
+/**
+ * Fetches the segments defined in the audiences sheet, once per page.
+ * @returns {Promise<object>} The conditions of each segment, keyed by segment
+ */
+function fetchSegments() {
+  if (!segmentsRequest) {
+    segmentsRequest = fetch(AUDIENCES_PATH)
+      .then((resp) => (resp.ok ? resp.json() : { data: [] }))
+      .then(({ data = [] }) => Object.fromEntries(
+        data.filter((row) => row.Segment && row.Conditions)
+          .map((row) => [row.Segment.trim().toLowerCase(), row.Conditions]),
+      ))
+      .catch(() => ({}));
+  }
+  return segmentsRequest;
+}
+
+/**
+ * Fetches the location of the visitor, from the geo endpoint set as geo-endpoint metadata.
+ * The endpoint relays the geo headers of the CDN as JSON, e.g. { "country": "US", "region": "CA" }.
+ * @returns {Promise<object>} The location with country and region, empty if it is unknown
+ */
+function fetchGeo() {
+  if (!geoRequest) {
+    const endpoint = getMetadata('geo-endpoint');
+    geoRequest = endpoint
+      ? fetch(endpoint).then((resp) => (resp.ok ? resp.json() : {})).catch(() => ({}))
+      : Promise.resolve({});
+  }
+  return geoRequest;
+}
+
+/**
+ * Gets the device class of the visitor, by the breakpoints of the styles.
+ * @returns {string} mobile, tablet or desktop
+ */
+function getDevice() {
+  if (window.matchMedia('(width < 600px)').matches) return 'mobile';
+  if (window.matchMedia('(width < 900px)').matches) return 'tablet';
+  return 'desktop';
+}
+
+/**
+ * Checks a name=value pair, or the presence of the name, against values.
+ * @param {string} expected The pair, e.g. "tier=gold", or name, e.g. "tier"
+ * @param {function} getValue Gets the value of a name, null if there is none
+ * @returns {boolean} Whether the pair matches
+ */
+function matchesPair(expected, getValue) {
+  const [name, value] = expected.split('=');
+  const actual = getValue(name.trim());
+  return value === undefined ? actual !== null : actual === value.trim();
+}
+
+/**
+ * Gets a cookie.
+ * @param {string} name The cookie name
+ * @returns {string} The value, or null if the cookie is not set
+ */
+function getCookie(name) {
+  const cookie = document.cookie.split(';')
+    .map((c) => c.trim().split('='))
+    .find(([key]) => key === name);
+  return cookie ? decodeURIComponent(cookie.slice(1).join('=')) : null;
+}
+
+/**
+ * Checks whether the visitor matches a condition.
+ * @param {string} condition The condition, e.g. "device:mobile"
+ * @param {number} depth The nesting depth of segments
+ * @returns {Promise<boolean>} Whether the visitor matches
+ */
+async function matchesCondition(condition, depth) {
+  const [type, ...rest] = condition.split(':');
+  const value = rest.join(':').trim();
+  switch (type.trim().toLowerCase()) {
+    case 'param':
+      return matchesPair(value, (name) => new URLSearchParams(window.location.search).get(name));
+    case 'cookie':
+      return matchesPair(value, getCookie);
+    case 'geo': {
+      const { country = '', region = '' } = await fetchGeo();
+      const [expectedCountry, expectedRegion] = value.toUpperCase().split('-');
+      return expectedCountry === country.toUpperCase()
+        && (!expectedRegion || expectedRegion === region.toUpperCase());
+    }
+    case 'device':
+      return value.toLowerCase() === getDevice();
+    case 'date': {
+      const [from, to] = value.split('..').map((date) => (date ? new Date(date).getTime() : NaN));
+      // days end at midnight, times where they say
+      const end = /^\d{4}-\d{2}-\d{2}$/.test(value.split('..')[1]) ? to + 86400000 : to;
+      const now = Date.now();
+      return (Number.isNaN(from) || now >= from) && (Number.isNaN(end) || now < end);
+    }
+    case 'segment': {
+      // segments may refer to other segments, but not endlessly
+      if (depth > 3) return false;
+      const segments = await fetchSegments();
+      const conditions = segments[value.toLowerCase()];
+      // eslint-disable-next-line no-use-before-define
+      return !!conditions && matchesAudience(conditions, depth + 1);
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Checks whether the visitor matches all conditions of an audience.
+ * @param {string} conditions The conditions, comma separated, e.g. "device:mobile, geo:DE"
+ * @param {number} [depth] The nesting depth of segments
+ * @returns {Promise<boolean>} Whether the visitor matches
+ */
+export async function matchesAudience(conditions, depth = 0) {
+  const list = conditions.split(',').map((c) => c.trim()).filter((c) => c);
+  if (!list.length) return false;
+  const results = await Promise.all(list.map((condition) => matchesCondition(condition, depth)));
+  return results.every((result) => result);
+}
+
+/**
+ * Finds the first option whose audience the visitor matches.
+ * @param {object[]} options The options with their conditions, e.g. fragment variants
+ * @returns {Promise<object>} The option, or undefined if the visitor matches none
+ */
+export async function resolveAudience(options) {
+  const matches = await Promise.all(options.map(({ conditions }) => matchesAudience(conditions)));
+  return options.find((option, i) => matches[i]);
+}
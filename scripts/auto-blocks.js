@@ -0,0 +1,204 @@
+/*
+ * Auto Blocks
+ * Rules that build synthetic blocks from default content, run on pages and fragments
+ * alike as part of decorateMain, before sections and blocks are decorated.
+ * Each rule selects the elements it applies to and builds from each of them:
+ * { name: 'hero', select: (main) => [...], build: (element, main) => {} }
+ * Rules with fragments: false only run on the main element of the page.
+ */
+
+import { buildBlock, getMetadata } from './aem.js';
+import { getLocalePrefix } from './i18n.js';
+import { normalizePath } from './navigation.js';
+
+const YOUTUBE_HOSTS = /(^|\.)(youtube\.com|youtube-nocookie\.com|youtu\.be)$/;
+let modalListener = false;
+
+/**
+ * Checks whether an element is default content, outside blocks.
+ * @param {Element} element The element
+ * @returns {boolean} Whether the element is default content
+ */
+function isDefaultContent(element) {
+  // blocks are the divs of a section, default content everything else
+  const content = element.closest('main > div > *');
+  return !!content && content.tagName !== 'DIV';
+}
+
+/**
+ * Parses the text of a link as an absolute URL.
+ * @param {string} text The text
+ * @returns {URL} The URL, or null if the text is not one
+ */
+function parseUrl(text) {
+  try {
+    return new URL(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Gets the links standing alone in a paragraph of default content, with their URL as text,
+ * as authors paste them.
+ * @param {Element} main The main element
+ * @param {function} matches Checks the URL of a link
+ * @returns {HTMLAnchorElement[]} The links
+ */
+function getStandaloneLinks(main, matches) {
+  return [...main.querySelectorAll(':scope > div > p a[href]')].filter((a) => {
+    const p = a.closest('p');
+    const text = a.textContent.trim();
+    if (p.parentElement.parentElement !== main || p.textContent.trim() !== text) return false;
+    // links to the site are made relative, their text stays the preview or live URL pasted
+    const url = new URL(a.href);
+    return parseUrl(text)?.pathname === url.pathname && matches(url);
+  });
+}
+
+/**
+ * Checks whether a URL points to a path of this site.
+ * @param {URL} url The URL
+ * @param {string} prefix The path prefix, e.g. "/fragments/"
+ * @returns {boolean} Whether the URL is a site path with the prefix
+ */
+function isSitePath(url, prefix) {
+  return url.origin === window.location.origin && url.pathname.startsWith(prefix);
+}
+
+/**
+ * Replaces the paragraph of a standalone link with a block built from the link.
+ * @param {HTMLAnchorElement} a The link
+ * @param {string} blockName The block name
+ * @param {*} content The content of the block
+ */
+function replaceWithBlock(a, blockName, content) {
+  a.closest('p').replaceWith(buildBlock(blockName, content));
+}
+
+/**
+ * Opens the modals of modal triggers, wherever they are on the page.
+ */
+function listenToModalTriggers() {
+  if (modalListener) return;
+  modalListener = true;
+  document.addEventListener('click', async (e) => {
+    const trigger = e.target.closest('a[data-modal-path]');
+    if (!trigger) return;
+    e.preventDefault();
+    const { openModal } = await import(`${window.hlx.codeBasePath}/blocks/modal/modal.js`);
+    openModal(trigger.dataset.modalPath);
+  });
+}
+
+export const AUTO_BLOCK_RULES = [
+  {
+    // a picture followed by the h1 in the first section, unless there is a hero already
+    name: 'hero',
+    select: (main) => {
+      const section = main.querySelector(':scope > div:first-child');
+      if (!section || main.querySelector(':scope > div > .hero')) return [];
+      const h1 = section.querySelector('h1');
+      const picture = section.querySelector('picture');
+      if (!h1 || !picture || !isDefaultContent(h1) || !isDefaultContent(picture)) return [];
+      // eslint-disable-next-line no-bitwise
+      return h1.compareDocumentPosition(picture) & Node.DOCUMENT_POSITION_PRECEDING ? [h1] : [];
+    },
+    build: (h1, main) => {
+      const section = main.querySelector(':scope > div:first-child');
+      const picture = section.querySelector('picture');
+      const paragraph = picture.closest('p');
+      const hero = document.createElement('div');
+      hero.append(buildBlock('hero', { elems: [picture, h1] }));
+      main.prepend(hero);
+      if (paragraph && !paragraph.textContent.trim() && !paragraph.querySelector('img')) {
+        paragraph.remove();
+      }
+      if (!section.children.length) section.remove();
+    },
+  },
+  {
+    // breadcrumbs at the top of the page, above a hero, unless it is a home page or opts out
+    name: 'breadcrumbs',
+    fragments: false,
+    select: (main) => {
+      if (['off', 'false', 'no'].includes(getMetadata('breadcrumbs').toLowerCase())) return [];
+      const path = normalizePath(window.location.pathname);
+      if (path === normalizePath(`${getLocalePrefix()}/`)) return [];
+      return [...main.querySelectorAll(':scope > div:first-child')];
+    },
+    build: (section) => section.prepend(buildBlock('breadcrumbs', '')),
+  },
+  {
+    name: 'youtube',
+    select: (main) => getStandaloneLinks(main, (url) => YOUTUBE_HOSTS.test(url.hostname)),
+    build: (a) => replaceWithBlock(a, 'embed', { elems: [a] }),
+  },
+  {
+    name: 'fragment',
+    select: (main) => getStandaloneLinks(main, (url) => isSitePath(url, '/fragments/')),
+    build: (a) => {
+      const url = new URL(a.href);
+      replaceWithBlock(a, 'fragment', `${url.pathname}${url.hash}`);
+    },
+  },
+  {
+    // links to modals open them, the links stay where they are
+    name: 'modal',
+    select: (main) => [...main.querySelectorAll('a[href]')]
+      .filter((a) => isSitePath(new URL(a.href), '/modals/')),
+    build: (a) => {
+      a.dataset.modalPath = new URL(a.href).pathname;
+      a.setAttribute('aria-haspopup', 'dialog');
+      listenToModalTriggers();
+    },
+  },
+  {
+    // a blockquote ending a section, with the attribution in a last paragraph starting with a dash
+    name: 'quote',
+    select: (main) => [...main.querySelectorAll(':scope > div > blockquote:last-child')],
+    build: (blockquote) => {
+      const paragraphs = [...blockquote.querySelectorAll(':scope > p')];
+      const last = paragraphs[paragraphs.length - 1];
+      const attribution = paragraphs.length > 1 && /^[—–-]/.test(last.textContent.trim())
+        ? last
+        : null;
+      if (attribution) {
+        attribution.remove();
+        attribution.innerHTML = attribution.innerHTML.replace(/^\s*[—–-]\s*/, '');
+      }
+      const rows = [[{ elems: [...blockquote.childNodes] }]];
+      if (attribution) rows.push([{ elems: [attribution] }]);
+      blockquote.replaceWith(buildBlock('quote', rows));
+    },
+  },
+];
+
+/**
+ * Registers an auto block rule, replacing the rule of the same name.
+ * @param {object} rule The rule with name, select and build
+ */
+export function registerAutoBlockRule(rule) {
+  const index = AUTO_BLOCK_RULES.findIndex(({ name }) => name === rule.name);
+  if (index >= 0) AUTO_BLOCK_RULES.splice(index, 1, rule);
+  else AUTO_BLOCK_RULES.push(rule);
+}
+
+/**
+ * Applies auto block rules to a main element, of the page or a fragment.
+ * A failing rule does not keep the others from applying.
+ * @param {Element} main The main element
+ * @param {object[]} [rules] The rules, e.g. one of them to try it in isolation
+ */
+export function applyAutoBlockRules(main, rules = AUTO_BLOCK_RULES) {
+  // fragments are decorated with their own main element
+  const isPage = main === document.querySelector('main');
+  rules.filter((rule) => isPage || rule.fragments !== false).forEach((rule) => {
+    try {
+      rule.select(main).forEach((element) => rule.build(element, main));
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error(`Auto Blocking rule ${rule.name} failed`, error);
+    }
+  });
+}
@@ -0,0 +1,68 @@
+/*
+ * Consent
+ * Integration point for consent managers. Third-party content of a vendor category,
+ * e.g. "video" or "social", is only loaded once consent for the category is granted.
+ * Consent managers call setConsent, e.g. from delayed.js, and decisions are remembered.
+ */
+
+const STORAGE_KEY = 'consent';
+let decisions;
+
+/**
+ * Gets the decisions, remembered from earlier pages.
+ * @returns {object} Whether consent is granted, keyed by category
+ */
+function getDecisions() {
+  if (!decisions) {
+    try {
+      decisions = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+      decisions = {};
+    }
+  }
+  return decisions;
+}
+
+/**
+ * Checks whether consent for a category is granted.
+ * @param {string} category The vendor category
+ * @returns {boolean} Whether consent is granted
+ */
+export function hasConsent(category) {
+  return getDecisions()[category] === true;
+}
+
+/**
+ * Grants or revokes consent for a category and remembers the decision.
+ * Dispatches a consent:update event on the document.
+ * @param {string} category The vendor category
+ * @param {boolean} [granted] Whether consent is granted
+ */
+export function setConsent(category, granted = true) {
+  getDecisions()[category] = granted;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(decisions));
+  } catch (e) {
+    // the decision holds for the current page only
+  }
+  document.dispatchEvent(new CustomEvent('consent:update', { detail: { category, granted } }));
+}
+
+/**
+ * Runs a callback once consent for a category is granted, right away if it already is.
+ * @param {string} category The vendor category
+ * @param {function} callback The callback
+ */
+export function onConsent(category, callback) {
+  if (hasConsent(category)) {
+    callback();
+    return;
+  }
+  const listener = ({ detail }) => {
+    if (detail.category === category && detail.granted) {
+      document.removeEventListener('consent:update', listener);
+      callback();
+    }
+  };
+  document.addEventListener('consent:update', listener);
+}
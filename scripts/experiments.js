@@ -0,0 +1,182 @@
+/*
+ * Experiments
+ * A/B tests set up through page metadata: experiment names the test, experiment-variants
+ * lists the pages of the challengers, e.g. "/drafts/home-b, /drafts/home-c", and
+ * experiment-split their percentages, the control getting the rest; evenly by default.
+ * Visitors are assigned to a variant for good, the main content of challengers is swapped
+ * in before the page is decorated, exposures and conversions are recorded in RUM.
+ */
+
+import { getMetadata, sampleRUM, toClassName } from './aem.js';
+import { fetchFragmentHtml, resetMediaBase } from './fragment-cache.js';
+
+const VISITOR_KEY = 'experiment-visitor';
+// clicks on these convert, unless the experiment-conversion metadata sets other elements
+const DEFAULT_CONVERSION = 'a.button, button[type="submit"]';
+const isPreview = window.location.hostname.includes('localhost')
+  || window.location.hostname.endsWith('.aem.page');
+
+/**
+ * Gets the experiment of the current page.
+ * @returns {object} The experiment with id and variants, each with name, path and split,
+ * or null if the page has no experiment
+ */
+export function getExperiment() {
+  const id = toClassName(getMetadata('experiment'));
+  const paths = getMetadata('experiment-variants').split(',').map((p) => p.trim()).filter((p) => p);
+  if (!id || !paths.length) return null;
+
+  const splits = getMetadata('experiment-split').split(',')
+    .map((s) => parseFloat(s)).filter((s) => !Number.isNaN(s));
+  const evenSplit = 100 / (paths.length + 1);
+  const challengers = paths.map((path, i) => ({
+    name: `challenger-${i + 1}`,
+    path: new URL(path, window.location).pathname,
+    split: splits.length === paths.length ? splits[i] : evenSplit,
+  }));
+  const control = {
+    name: 'control',
+    path: window.location.pathname,
+    split: Math.max(0, 100 - challengers.reduce((sum, { split }) => sum + split, 0)),
+  };
+  return { id, variants: [control, ...challengers] };
+}
+
+/**
+ * Gets the id of the visitor, created on the first visit.
+ * @returns {string} The visitor id
+ */
+function getVisitorId() {
+  try {
+    let id = localStorage.getItem(VISITOR_KEY);
+    if (!id) {
+      id = Math.random().toString(36).substring(2, 12);
+      localStorage.setItem(VISITOR_KEY, id);
+    }
+    return id;
+  } catch (e) {
+    // without storage, visitors get a new bucket on each page
+    return Math.random().toString(36).substring(2, 12);
+  }
+}
+
+/**
+ * Gets the bucket of the visitor in an experiment, the same on every visit.
+ * @param {string} experimentId The experiment id
+ * @returns {number} The bucket, from 0 to 100
+ */
+function getBucket(experimentId) {
+  // FNV-1a hash of the visitor and experiment
+  let hash = 2166136261;
+  [...`${getVisitorId()}:${experimentId}`].forEach((char) => {
+    hash ^= char.charCodeAt(0); // eslint-disable-line no-bitwise
+    hash = Math.imul(hash, 16777619);
+  });
+  return ((hash >>> 0) % 10000) / 100; // eslint-disable-line no-bitwise
+}
+
+/**
+ * Gets the variant chosen for previewing, e.g. with ?experiment=hero-test/challenger-1.
+ * @param {object} experiment The experiment
+ * @returns {object} The variant, or undefined if none is chosen
+ */
+function getPreviewedVariant(experiment) {
+  const [id, name] = (new URLSearchParams(window.location.search).get('experiment') || '').split('/');
+  return id === experiment.id ? experiment.variants.find((v) => v.name === name) : undefined;
+}
+
+/**
+ * Assigns the visitor to a variant of an experiment, by the split of the variants.
+ * @param {object} experiment The experiment
+ * @returns {object} The variant
+ */
+function assignVariant(experiment) {
+  const bucket = getBucket(experiment.id);
+  let threshold = 0;
+  return experiment.variants.find(({ split }) => {
+    threshold += split;
+    return bucket < threshold;
+  }) || experiment.variants[0];
+}
+
+/**
+ * Records conversions, clicks on the conversion elements, once per page.
+ * @param {object} experiment The experiment
+ * @param {object} variant The variant of the visitor
+ */
+function trackConversions(experiment, variant) {
+  const selector = getMetadata('experiment-conversion') || DEFAULT_CONVERSION;
+  const onClick = (e) => {
+    if (!e.target.closest(selector)) return;
+    document.removeEventListener('click', onClick);
+    sampleRUM('convert', { source: experiment.id, target: variant.name });
+  };
+  document.addEventListener('click', onClick);
+}
+
+/**
+ * Runs the experiment of the current page: assigns the visitor to a variant,
+ * swaps in its main content and records the exposure.
+ * @param {Element} main The main element, not decorated yet
+ * @returns {Promise<object>} The experiment with the variant shown, or null if there is none
+ */
+export async function runExperiment(main) {
+  const experiment = getExperiment();
+  if (!experiment) return null;
+
+  const previewed = getPreviewedVariant(experiment);
+  let variant = previewed || assignVariant(experiment);
+  if (variant.name !== 'control') {
+    const html = await fetchFragmentHtml(variant.path);
+    if (html) {
+      main.innerHTML = html;
+      resetMediaBase(main, variant.path);
+    } else {
+      // visitors of a missing challenger see the control
+      [variant] = experiment.variants;
+    }
+  }
+  document.body.dataset.experiment = experiment.id;
+  document.body.dataset.experimentVariant = variant.name;
+  // previews are not part of the results
+  if (!previewed) {
+    sampleRUM('experiment', { source: experiment.id, target: variant.name });
+    trackConversions(experiment, variant);
+  }
+  return { ...experiment, variant };
+}
+
+/**
+ * Shows an overlay for previewing each variant of the experiment, on preview and local hosts.
+ * @param {object} experiment The experiment with the variant shown
+ */
+export function showExperimentOverlay(experiment) {
+  if (!isPreview || !experiment) return;
+  const overlay = document.createElement('aside');
+  overlay.className = 'experiment-overlay';
+  overlay.setAttribute('aria-label', 'Experiment preview');
+  overlay.setAttribute('style', 'position: fixed; bottom: 8px; left: 8px; z-index: 1000; padding: 8px 12px; background: rgb(0 0 0 / 80%); color: #fff; font: 12px/1.5 monospace;');
+
+  const title = document.createElement('p');
+  title.setAttribute('style', 'margin: 0 0 4px; font-weight: 700;');
+  title.textContent = `Experiment ${experiment.id}`;
+  const list = document.createElement('ul');
+  list.setAttribute('style', 'margin: 0; padding: 0; list-style: none;');
+  experiment.variants.forEach(({ name, path, split }) => {
+    const url = new URL(window.location);
+    url.searchParams.set('experiment', `${experiment.id}/${name}`);
+    const li = document.createElement('li');
+    const a = document.createElement('a');
+    a.href = url.href;
+    a.textContent = `${name} (${Math.round(split * 10) / 10}%) ${path}`;
+    a.setAttribute('style', 'color: inherit;');
+    if (name === experiment.variant.name) {
+      a.setAttribute('aria-current', 'page');
+      a.style.fontWeight = '700';
+    }
+    li.append(a);
+    list.append(li);
+  });
+  overlay.append(title, list);
+  document.body.append(overlay);
+}
@@ -0,0 +1,75 @@
+/*
+ * Fragment Cache
+ * Fetches the undecorated HTML of fragments, e.g. nav, footer, modals and fragment blocks,
+ * once per page and revalidated through their ETag across the session.
+ */
+
+const CACHE_PREFIX = 'fragment:';
+const requests = new Map();
+
+/**
+ * Gets the cached HTML of a fragment.
+ * @param {string} path The fragment path
+ * @returns {object} The HTML with its ETag, or null if it is not cached
+ */
+function getCached(path) {
+  try {
+    return JSON.parse(sessionStorage.getItem(`${CACHE_PREFIX}${path}`));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Caches the HTML of a fragment, if it can be revalidated and may be stored.
+ * @param {string} path The fragment path
+ * @param {Response} resp The response
+ * @param {string} html The HTML
+ */
+function setCached(path, resp, html) {
+  const etag = resp.headers.get('ETag');
+  if (!etag || /no-store/.test(resp.headers.get('Cache-Control'))) return;
+  try {
+    sessionStorage.setItem(`${CACHE_PREFIX}${path}`, JSON.stringify({ etag, html }));
+  } catch (e) {
+    // the fragment is fetched again on the next page
+  }
+}
+
+/**
+ * Fetches the HTML of a fragment. Concurrent requests of a path share one fetch.
+ * @param {string} path The fragment path, e.g. "/nav"
+ * @returns {Promise<string>} The HTML, or null if the fragment could not be loaded
+ */
+export function fetchFragmentHtml(path) {
+  if (!requests.has(path)) {
+    const cached = getCached(path);
+    const headers = cached ? { 'If-None-Match': cached.etag } : {};
+    requests.set(path, fetch(`${path}.plain.html`, { headers })
+      .then(async (resp) => {
+        if (resp.status === 304 && cached) return cached.html;
+        if (!resp.ok) return null;
+        const html = await resp.text();
+        setCached(path, resp, html);
+        return html;
+      })
+      .catch(() => (cached ? cached.html : null)));
+  }
+  return requests.get(path);
+}
+
+/**
+ * Resolves the media paths of fragment content, relative to the fragment, e.g. ./media_1.jpg,
+ * against the fragment path rather than the page it is shown on.
+ * @param {Element} element The element with the fragment content
+ * @param {string} path The fragment path
+ */
+export function resetMediaBase(element, path) {
+  const resetAttributeBase = (tag, attr) => {
+    element.querySelectorAll(`${tag}[${attr}^="./media_"]`).forEach((elem) => {
+      elem[attr] = new URL(elem.getAttribute(attr), new URL(path, window.location)).href;
+    });
+  };
+  resetAttributeBase('img', 'src');
+  resetAttributeBase('source', 'srcset');
+}
@@ -0,0 +1,118 @@
+import { getMetadata } from './aem.js';
+
+/**
+ * The default locale is served from the root of the site,
+ * every other locale from a folder named after it, e.g. /de/.
+ */
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * The locales of the site. Regional locales (e.g. de-ch) fall back to their language.
+ */
+export const LOCALES = ['en', 'de', 'fr'];
+
+// languages written from right to left
+const RTL_LANGUAGES = ['ar', 'dv', 'fa', 'he', 'ps', 'ur', 'yi'];
+
+/**
+ * Gets the locale segment of a path.
+ * @param {string} path The path
+ * @returns {string} The locale, or undefined if the path has no locale segment
+ */
+function getPathLocale(path) {
+  const [, segment = ''] = path.toLowerCase().split('/');
+  return LOCALES.includes(segment) ? segment : undefined;
+}
+
+/**
+ * Gets the locale of the current page, from the language metadata, the URL
+ * or the document language.
+ * @returns {string} The lower cased locale, e.g. "de" or "de-ch"
+ */
+export function getLocale() {
+  const language = getMetadata('language') || getPathLocale(window.location.pathname)
+    || document.documentElement.lang;
+  return language ? language.toLowerCase() : DEFAULT_LOCALE;
+}
+
+/**
+ * Gets the text direction of a locale.
+ * @param {string} [locale] The locale, defaults to the current page's locale
+ * @returns {string} "rtl" or "ltr"
+ */
+export function getDirection(locale = getLocale()) {
+  const [language] = locale.split('-');
+  return RTL_LANGUAGES.includes(language) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Gets the locales to look up, from the most to the least specific.
+ * @param {string} locale The locale, e.g. "de-ch"
+ * @returns {string[]} The fallback chain, e.g. ["de-ch", "de", "en"]
+ */
+export function getLocaleFallbacks(locale) {
+  const [language] = locale.split('-');
+  return [...new Set([locale, language, DEFAULT_LOCALE])];
+}
+
+/**
+ * Gets the path prefix of a locale.
+ * @param {string} [locale] The locale, defaults to the current page's locale
+ * @returns {string} The prefix, e.g. "/de", empty for the default locale
+ */
+export function getLocalePrefix(locale = getLocale()) {
+  const [supported] = getLocaleFallbacks(locale).filter((l) => LOCALES.includes(l));
+  return !supported || supported === DEFAULT_LOCALE ? '' : `/${supported}`;
+}
+
+/**
+ * Gets the paths of a fragment shared by the pages of a locale, e.g. the nav,
+ * from the most to the least specific locale.
+ * @param {string} name The fragment name, e.g. "nav"
+ * @param {string} [locale] The locale, defaults to the current page's locale
+ * @returns {string[]} The paths to try in turn, e.g. ["/de/nav", "/nav"]
+ */
+export function getLocalizedFragmentPaths(name, locale = getLocale()) {
+  const prefixes = getLocaleFallbacks(locale)
+    .filter((l) => LOCALES.includes(l))
+    .map((l) => getLocalePrefix(l));
+  return [...new Set(prefixes)].map((prefix) => `${prefix}/${name}`);
+}
+
+/**
+ * Maps a path to its equivalent in another locale.
+ * @param {string} locale The target locale
+ * @param {string} [path] The path, defaults to the current page's path
+ * @returns {string} The localized path, e.g. "/de/about" for "/about"
+ */
+export function getLocalizedPath(locale, path = window.location.pathname) {
+  const current = getPathLocale(path);
+  const unprefixed = current ? path.substring(current.length + 1) || '/' : path;
+  return `${getLocalePrefix(locale)}${unprefixed}`;
+}
+
+/**
+ * Builds a list of links to the current page in every locale of the site.
+ * @returns {Element} The language switcher
+ */
+export function buildLanguageSwitcher() {
+  const current = getLocalePrefix();
+  const list = document.createElement('ul');
+  list.className = 'language-switcher';
+  LOCALES.forEach((locale) => {
+    const li = document.createElement('li');
+    const a = document.createElement('a');
+    a.href = `${getLocalizedPath(locale)}${window.location.search}`;
+    a.hreflang = locale;
+    a.lang = locale;
+    try {
+      a.textContent = new Intl.DisplayNames([locale], { type: 'language' }).of(locale);
+    } catch (e) {
+      a.textContent = locale.toUpperCase();
+    }
+    if (getLocalePrefix(locale) === current) a.setAttribute('aria-current', 'true');
+    li.append(a);
+    list.append(li);
+  });
+  return list;
+}
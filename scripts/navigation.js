@@ -0,0 +1,111 @@
+import { getMetadata, toClassName } from './aem.js';
+import { fetchFragmentHtml } from './fragment-cache.js';
+import { getLocalePrefix, getLocalizedFragmentPaths } from './i18n.js';
+
+let navRequest;
+
+/**
+ * Gets the paths of the nav fragment, from the nav metadata or the page's locale
+ * and its fallbacks.
+ * @returns {string[]} The nav paths to try in turn, e.g. ["/de/nav", "/nav"]
+ */
+export function getNavPaths() {
+  const navMeta = getMetadata('nav');
+  return navMeta ? [new URL(navMeta, window.location).pathname] : getLocalizedFragmentPaths('nav');
+}
+
+/**
+ * Gets the header options, from the header metadata and the variants of the header block,
+ * e.g. "condense, transparent".
+ * @param {Element} [block] The header block, once it is loaded
+ * @returns {string[]} The options
+ */
+export function getHeaderOptions(block) {
+  const options = getMetadata('header').split(',').map((option) => toClassName(option.trim()));
+  return [...(block ? block.classList : []), ...options];
+}
+
+/**
+ * Normalizes a path for comparison, without extension, index or trailing slash.
+ * @param {string} path The path
+ * @returns {string} The normalized path
+ */
+export function normalizePath(path) {
+  return path
+    .replace(/\.html$/, '')
+    .replace(/\/index$/, '/')
+    .replace(/(.)\/$/, '$1');
+}
+
+/**
+ * Fetches the undecorated nav fragment, once per page.
+ * @returns {Promise<Element>} The nav content, or null if it could not be loaded
+ */
+export function fetchNav() {
+  if (!navRequest) {
+    // the nav of the locale, or else of its fallbacks
+    navRequest = getNavPaths()
+      .reduce(
+        (found, path) => found.then((html) => html ?? fetchFragmentHtml(path)),
+        Promise.resolve(null),
+      )
+      .then((html) => (html ? new DOMParser().parseFromString(html, 'text/html').body : null));
+  }
+  return navRequest;
+}
+
+/**
+ * Finds the link to the current page in a container, or else the link to its closest ancestor.
+ * @param {Element} container The container, e.g. the nav
+ * @param {string} [path] The path to look for, defaults to the current page's path
+ * @returns {object} The link and whether it is an exact match, or null if no link matches
+ */
+export function findActiveLink(container, path = window.location.pathname) {
+  const current = normalizePath(path);
+  const root = normalizePath(`${getLocalePrefix()}/`);
+  let active = null;
+  let activeLength = 0;
+  container.querySelectorAll('a[href]').forEach((link) => {
+    const url = new URL(link.getAttribute('href'), window.location);
+    if (url.origin !== window.location.origin) return;
+    const linkPath = normalizePath(url.pathname);
+    if (linkPath === current) {
+      if (!active || !active.exact) active = { link, exact: true };
+    } else if (!active?.exact && linkPath !== root && current.startsWith(`${linkPath}/`)
+      && linkPath.length > activeLength) {
+      active = { link, exact: false };
+      activeLength = linkPath.length;
+    }
+  });
+  return active;
+}
+
+/**
+ * Gets the label and link of a nav list item, without its nested list.
+ * @param {Element} li The list item
+ * @returns {object} The item with title and href, href is undefined for labels without a link
+ */
+function getNavItem(li) {
+  const label = [...li.childNodes].filter((node) => node.nodeName !== 'UL');
+  const link = label.map((node) => (node.nodeName === 'A' ? node : node.querySelector?.('a')))
+    .find((a) => !!a);
+  return {
+    title: label.map((node) => node.textContent).join('').trim(),
+    href: link ? new URL(link.getAttribute('href'), window.location).pathname : undefined,
+  };
+}
+
+/**
+ * Gets the sections of the nav hierarchy a link is nested in.
+ * @param {Element} link The nav link
+ * @returns {object[]} The sections with title and href, outermost first
+ */
+export function getNavTrail(link) {
+  const trail = [];
+  let li = link.closest('li');
+  while (li) {
+    li = li.parentElement.closest('li');
+    if (li) trail.unshift(getNavItem(li));
+  }
+  return trail;
+}
@@ -0,0 +1,73 @@
+import { fetchPlaceholders } from './aem.js';
+import {
+  LOCALES,
+  getLocale,
+  getLocaleFallbacks,
+  getLocalePrefix,
+} from './i18n.js';
+
+const isDev = window.location.hostname.includes('localhost')
+  || window.location.hostname.endsWith('.aem.page');
+const reportedKeys = new Set();
+
+/**
+ * Gets the placeholders of a locale, merged with those of its fallback locales.
+ * @param {string} [locale] The locale, defaults to the current page's locale
+ * @returns {Promise<object>} The placeholders, keyed by camelCased key
+ */
+export async function fetchLocalePlaceholders(locale = getLocale()) {
+  // regional sheets, e.g. /de-ch/placeholders.json, may exist without a site of their own,
+  // missing sheets have no placeholders
+  const prefixes = getLocaleFallbacks(locale)
+    .map((l) => (LOCALES.includes(l) ? getLocalePrefix(l) : `/${l}`) || 'default');
+  const placeholders = await Promise.all(
+    [...new Set(prefixes)].map((prefix) => fetchPlaceholders(prefix)),
+  );
+  // the most specific locale wins
+  return Object.assign({}, ...placeholders.reverse());
+}
+
+/**
+ * Formats a placeholder, replacing {name} with values.
+ * If values contain a numeric count, the plural form of the key is used
+ * (e.g. searchResultsOne or searchResultsOther for searchResults).
+ * @param {object} placeholders The placeholders
+ * @param {string} key The camelCased placeholder key
+ * @param {string|object} [fallback] The text if the key is missing, or its plural forms
+ * @param {object} [values] The values to interpolate
+ * @param {string} [locale] The locale used for plural rules
+ * @returns {string} The text
+ */
+export function formatPlaceholder(placeholders, key, fallback = '', values = {}, locale = getLocale()) {
+  let text;
+  let category;
+  if (typeof values.count === 'number') {
+    category = new Intl.PluralRules(locale).select(values.count);
+    const suffix = `${category[0].toUpperCase()}${category.substring(1)}`;
+    text = placeholders[`${key}${suffix}`] ?? placeholders[`${key}Other`];
+  }
+  text = text ?? placeholders[key];
+
+  if (text === undefined) {
+    if (isDev && !reportedKeys.has(`${locale}:${key}`)) {
+      reportedKeys.add(`${locale}:${key}`);
+      // eslint-disable-next-line no-console
+      console.warn(`missing placeholder "${key}" for locale ${locale}`);
+    }
+    text = typeof fallback === 'object' ? fallback[category] ?? fallback.other : fallback;
+  }
+
+  return String(text ?? '').replace(/\{(\w+)\}/g, (match, name) => (
+    values[name] !== undefined ? values[name] : match
+  ));
+}
+
+/**
+ * Loads the placeholders of a locale.
+ * @param {string} [locale] The locale, defaults to the current page's locale
+ * @returns {Promise<function>} A function (key, fallback, values) returning the formatted text
+ */
+export async function loadPlaceholders(locale = getLocale()) {
+  const placeholders = await fetchLocalePlaceholders(locale);
+  return (key, fallback, values) => formatPlaceholder(placeholders, key, fallback, values, locale);
+}
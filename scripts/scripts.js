@@ -1,4 +1,5 @@
 import {
+  getMetadata,
   loadHeader,
   loadFooter,
   decorateButtons,
@@ -12,6 +13,9 @@ import {
   loadSections,
   loadCSS,
 } from './aem.js';
+import { applyAutoBlockRules } from './auto-blocks.js';
+import { getDirection, getLocale } from './i18n.js';
+import { getHeaderOptions } from './navigation.js';
 
 /**
  * Moves all the attributes from a given elmenet to another given element.
@@ -63,15 +67,56 @@ async function loadFonts() {
  * Builds all synthetic blocks in a container element.
  * @param {Element} main The container element
  */
-function buildAutoBlocks() {
-  try {
-    // TODO: add auto block, if needed
-  } catch (error) {
-    // eslint-disable-next-line no-console
-    console.error('Auto Blocking failed', error);
+function buildAutoBlocks(main) {
+  applyAutoBlockRules(main);
+}
+
+/**
+ * Lets a hero in the first section flow under a transparent header, before the header
+ * is loaded, so that the page does not shift. Content above the hero moves below it.
+ * @param {Element} main The main element
+ */
+function prepareTransparentHeader(main) {
+  const hero = main.querySelector(':scope > .section:first-child .hero');
+  if (getHeaderOptions().includes('transparent') && hero) {
+    document.body.classList.add('header-transparent');
+    // e.g. breadcrumbs would be hidden under the header
+    const wrapper = hero.closest('.section > div');
+    const before = [];
+    for (let el = wrapper.previousElementSibling; el; el = el.previousElementSibling) {
+      before.unshift(el);
+    }
+    wrapper.after(...before);
   }
 }
 
+/**
+ * Checks whether a link points to an image file.
+ * @param {HTMLAnchorElement} a The link
+ * @returns {boolean} Whether the link points to an image
+ */
+function isImageLink(a) {
+  return /\.(avif|gif|jpe?g|png|svg|webp)$/i.test(new URL(a.href).pathname);
+}
+
+/**
+ * Opens pictures linked to their image in a lightbox, along with the other
+ * linked pictures of their section as gallery.
+ * @param {Element} doc The container element
+ */
+function autolinkLightboxes(doc) {
+  doc.addEventListener('click', async (e) => {
+    const link = e.target.closest('a[href]');
+    if (!link || !link.querySelector('picture') || !isImageLink(link)) return;
+    e.preventDefault();
+    const links = [...(link.closest('.section') || link.parentElement).querySelectorAll('a[href]')]
+      .filter((a) => a.querySelector('picture') && isImageLink(a));
+    const images = links.map((a) => ({ src: a.href, alt: a.querySelector('img')?.alt || '' }));
+    const { openLightbox } = await import(`${window.hlx.codeBasePath}/blocks/modal/modal.js`);
+    openLightbox(images, links.indexOf(link));
+  });
+}
+
 /**
  * Decorates the main element.
  * @param {Element} main The main element
@@ -92,11 +137,19 @@ export function decorateMain(main) {
  * @param {Element} doc The container element
  */
 async function loadEager(doc) {
-  document.documentElement.lang = 'en';
+  const locale = getLocale();
+  document.documentElement.lang = locale;
+  document.documentElement.dir = getDirection(locale);
   decorateTemplateAndTheme();
   const main = doc.querySelector('main');
   if (main) {
+    if (getMetadata('experiment')) {
+      // challengers replace the content before it is decorated and shown
+      const { runExperiment } = await import('./experiments.js');
+      window.hlx.experiment = await runExperiment(main);
+    }
     decorateMain(main);
+    prepareTransparentHeader(main);
     document.body.classList.add('appear');
     await loadSection(main.querySelector('.section'), waitForFirstImage);
   }
@@ -122,12 +175,22 @@ async function loadLazy(doc) {
   const { hash } = window.location;
   const element = hash ? doc.getElementById(hash.substring(1)) : false;
   if (hash && element) element.scrollIntoView();
+  if (hash.startsWith('#modal=')) {
+    import(`${window.hlx.codeBasePath}/blocks/modal/modal.js`)
+      .then(({ openLinkedModal }) => openLinkedModal());
+  }
 
+  autolinkLightboxes(doc);
   loadHeader(doc.querySelector('header'));
   loadFooter(doc.querySelector('footer'));
 
   loadCSS(`${window.hlx.codeBasePath}/styles/lazy-styles.css`);
   loadFonts();
+
+  if (window.hlx.experiment) {
+    import('./experiments.js')
+      .then(({ showExperimentOverlay }) => showExperimentOverlay(window.hlx.experiment));
+  }
 }
 
 /**
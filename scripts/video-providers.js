@@ -0,0 +1,510 @@
+/*
+ * Video Providers
+ * Registry of the providers playing video links, with a common player API:
+ * play, pause, mute, unmute and seek commands, and bubbling video:ready, video:play,
+ * video:pause, video:timeupdate and video:ended events on the player element.
+ */
+
+import { loadScript } from './aem.js';
+
+const providers = [];
+const players = new WeakMap();
+const messageHandlers = new WeakMap();
+// the loads of player libraries, shared by the players of the page
+const libraries = new Map();
+
+window.addEventListener('message', (e) => {
+  const handler = e.source && messageHandlers.get(e.source);
+  if (handler) handler(e);
+});
+
+/**
+ * Parses the data of a message, which providers send as JSON string or as object.
+ * @param {MessageEvent} e The message event
+ * @returns {object} The data, or null if it is not JSON
+ */
+function parseMessage(e) {
+  if (typeof e.data !== 'string') return e.data;
+  try {
+    return JSON.parse(e.data);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Handles the messages an iframe sends, once it is loaded.
+ * @param {HTMLIFrameElement} iframe The iframe
+ * @param {string[]} origins The origins the iframe may send messages from
+ * @param {function} handler Called with the parsed data of each message
+ * @param {function} [onLoad] Called once the iframe is loaded
+ */
+function listen(iframe, origins, handler, onLoad = () => {}) {
+  iframe.addEventListener('load', () => {
+    messageHandlers.set(iframe.contentWindow, (e) => {
+      if (!origins.includes(e.origin)) return;
+      const data = parseMessage(e);
+      if (data) handler(data);
+    });
+    onLoad();
+  });
+}
+
+/**
+ * Sends a message to an iframe.
+ * @param {HTMLIFrameElement} iframe The iframe
+ * @param {string} origin The origin of the iframe
+ * @param {object} message The message
+ */
+function post(iframe, origin, message) {
+  if (iframe.contentWindow) iframe.contentWindow.postMessage(JSON.stringify(message), origin);
+}
+
+/**
+ * Builds an iframe embedding a player.
+ * @param {string} src The player URL
+ * @param {string} title The title
+ * @param {string} allow The allowed features
+ * @returns {HTMLIFrameElement} The iframe
+ */
+function buildIframe(src, title, allow = 'autoplay; fullscreen; picture-in-picture; encrypted-media') {
+  const iframe = document.createElement('iframe');
+  iframe.src = src;
+  iframe.title = title;
+  iframe.allow = allow;
+  iframe.setAttribute('allowfullscreen', '');
+  iframe.setAttribute('loading', 'lazy');
+  iframe.setAttribute('style', 'border: 0; top: 0; left: 0; width: 100%; height: 100%; position: absolute;');
+  return iframe;
+}
+
+/**
+ * Loads the script of a player library, once for all players of the page,
+ * which all wait for the script to be loaded.
+ * @param {string} src The script URL
+ * @returns {Promise} Resolves once the script is loaded, rejects if it fails to load
+ */
+function loadLibrary(src) {
+  if (!libraries.has(src)) libraries.set(src, loadScript(src));
+  return libraries.get(src);
+}
+
+/**
+ * Registers a video provider. Providers registered later take precedence.
+ * @param {object} provider The provider
+ * @param {string} provider.name The name, e.g. "youtube"
+ * @param {string} provider.label The name shown to visitors, e.g. "YouTube"
+ * @param {function} provider.match Returns whether the provider plays a URL
+ * @param {function} provider.build Builds the media element, an iframe or video, for a URL
+ * and options
+ * @param {function} provider.connect Emits the events of a media element through a callback
+ * (type, { currentTime, duration })
+ * @param {function} provider.command Runs a command (play, pause, mute, unmute or seek)
+ * with an optional value on a media element
+ */
+export function registerProvider(provider) {
+  providers.unshift(provider);
+}
+
+/**
+ * Finds the provider playing a URL.
+ * @param {URL} url The video URL
+ * @returns {object} The provider, or undefined if none plays the URL
+ */
+export function findProvider(url) {
+  return providers.find((provider) => provider.match(url));
+}
+
+/**
+ * Gets a provider by name.
+ * @param {string} name The name
+ * @returns {object} The provider, or undefined if there is none with that name
+ */
+export function getProvider(name) {
+  return providers.find((provider) => provider.name === name);
+}
+
+/**
+ * Creates a player for a video link.
+ * @param {string} link The video URL
+ * @param {object} [options] Options
+ * @param {boolean} [options.autoplay] Whether the video starts playing once loaded
+ * @param {boolean} [options.background] Whether the video plays muted and looped, without controls
+ * @param {string} [options.provider] The name of the provider to use rather than the matching one
+ * @param {string[]} [options.sources] Alternative renditions of a video file, e.g. webm and mp4
+ * @param {object[]} [options.tracks] Text tracks of a video file with src, srclang, label and kind
+ * @param {string} [options.poster] The image shown before a video file plays
+ * @returns {object} The player with its element, provider, src and commands,
+ * or null if no provider plays the link
+ */
+export function createPlayer(link, options = {}) {
+  const url = new URL(link, window.location);
+  const provider = options.provider ? getProvider(options.provider) : findProvider(url);
+  if (!provider) return null;
+
+  const media = provider.build(url, options);
+  let element = media;
+  if (media.tagName === 'IFRAME') {
+    // responsive 16:9 box
+    element = document.createElement('div');
+    element.setAttribute('style', 'left: 0; width: 100%; height: 0; position: relative; padding-bottom: 56.25%;');
+    element.append(media);
+  }
+  element.dataset.videoProvider = provider.name;
+
+  const state = { currentTime: 0, duration: 0 };
+  const emit = (type, detail = {}) => {
+    Object.assign(state, detail);
+    element.dispatchEvent(new CustomEvent(`video:${type}`, {
+      bubbles: true,
+      detail: { provider: provider.name, src: url.href, ...state },
+    }));
+  };
+  // players whose API fails to load still play, without events
+  Promise.resolve(provider.connect(media, emit)).catch((error) => {
+    // eslint-disable-next-line no-console
+    console.error(`Video provider ${provider.name} could not connect`, error);
+  });
+
+  const player = {
+    element,
+    provider: provider.name,
+    src: url.href,
+    play: () => provider.command(media, 'play'),
+    pause: () => provider.command(media, 'pause'),
+    mute: () => provider.command(media, 'mute'),
+    unmute: () => provider.command(media, 'unmute'),
+    seek: (seconds) => provider.command(media, 'seek', seconds),
+  };
+  players.set(element, player);
+  return player;
+}
+
+/**
+ * Gets the player of an element, e.g. to control a video of another block.
+ * @param {Element} element The player element or an element within it
+ * @returns {object} The player, or undefined if the element is not in a player
+ */
+export function getPlayer(element) {
+  const playerElement = element.closest('[data-video-provider]');
+  return playerElement ? players.get(playerElement) : undefined;
+}
+
+/* native video, with adaptive streaming through lazily loaded libraries */
+
+const VIDEO_TYPES = {
+  m3u8: 'application/vnd.apple.mpegurl',
+  mpd: 'application/dash+xml',
+  mov: 'video/quicktime',
+  ogv: 'video/ogg',
+};
+const HLS_LIBRARY = 'https://cdn.jsdelivr.net/npm/hls.js@1/dist/hls.min.js';
+const DASH_LIBRARY = 'https://cdn.dashjs.org/v4.7.4/dash.all.min.js';
+
+/**
+ * Gets the media type of a video file from its extension.
+ * @param {URL} url The video URL
+ * @returns {string} The media type
+ */
+function getVideoType(url) {
+  const extension = url.pathname.split('.').pop().toLowerCase();
+  return VIDEO_TYPES[extension] || `video/${extension}`;
+}
+
+/**
+ * Plays an HLS or DASH stream the browser does not support natively through a
+ * media source library, which is only loaded for such streams.
+ * @param {HTMLVideoElement} video The video
+ * @returns {Promise} Rejects if the library fails to load
+ */
+async function attachStream(video) {
+  const source = video.querySelector('source');
+  const src = source.getAttribute('src');
+  const type = source.getAttribute('type');
+  if (type === VIDEO_TYPES.m3u8 && !video.canPlayType(type)) {
+    await loadLibrary(HLS_LIBRARY);
+    if (!window.Hls || !window.Hls.isSupported()) return;
+    const hls = new window.Hls();
+    hls.loadSource(src);
+    hls.attachMedia(video);
+  } else if (type === VIDEO_TYPES.mpd) {
+    await loadLibrary(DASH_LIBRARY);
+    if (!window.dashjs) return;
+    window.dashjs.MediaPlayer().create().initialize(video, src, video.autoplay);
+  }
+}
+
+registerProvider({
+  name: 'native',
+  label: 'Video',
+  match: (url) => /\.(mp4|webm|ogg|ogv|mov|m3u8|mpd)$/i.test(url.pathname),
+  build: (url, {
+    autoplay, background, sources = [], tracks = [], poster,
+  } = {}) => {
+    const video = document.createElement('video');
+    video.setAttribute('controls', '');
+    if (autoplay) video.setAttribute('autoplay', '');
+    if (poster) video.setAttribute('poster', poster);
+    if (background) {
+      video.setAttribute('loop', '');
+      video.setAttribute('playsinline', '');
+      video.removeAttribute('controls');
+      video.addEventListener('canplay', () => {
+        video.muted = true;
+        if (autoplay) video.play();
+      });
+    }
+
+    // the browser plays the first rendition it supports
+    [url, ...sources.map((src) => new URL(src, window.location))].forEach((src) => {
+      const source = document.createElement('source');
+      source.setAttribute('src', src.href);
+      source.setAttribute('type', getVideoType(src));
+      video.append(source);
+    });
+
+    tracks.forEach(({
+      src, srclang, label, kind = 'subtitles',
+    }) => {
+      const track = document.createElement('track');
+      const trackUrl = new URL(src, window.location);
+      if (trackUrl.origin !== window.location.origin) video.setAttribute('crossorigin', 'anonymous');
+      track.setAttribute('src', trackUrl.href);
+      track.setAttribute('kind', kind);
+      if (srclang) track.setAttribute('srclang', srclang);
+      if (label) track.setAttribute('label', label);
+      video.append(track);
+    });
+    return video;
+  },
+  connect: (video, emit) => {
+    const times = () => ({ currentTime: video.currentTime, duration: video.duration || 0 });
+    video.addEventListener('loadedmetadata', () => emit('ready', times()), { once: true });
+    ['play', 'pause', 'timeupdate', 'ended'].forEach((type) => {
+      video.addEventListener(type, () => emit(type, times()));
+    });
+    // without the library, the browser plays the first rendition it supports natively
+    attachStream(video).catch(() => {});
+  },
+  command: (video, command, value) => {
+    if (command === 'play') video.play().catch(() => {});
+    if (command === 'pause') video.pause();
+    if (command === 'mute') video.muted = true;
+    if (command === 'unmute') video.muted = false;
+    if (command === 'seek') video.currentTime = value;
+  },
+});
+
+/* Brightcove, through the player API of in-page embeds */
+
+registerProvider({
+  name: 'brightcove',
+  label: 'Brightcove',
+  match: (url) => url.hostname === 'players.brightcove.net',
+  build: (url, { autoplay, background } = {}) => {
+    // e.g. https://players.brightcove.net/<account>/<player>_<embed>/index.html?videoId=<id>
+    const [, account, playerEmbed = 'default_default'] = url.pathname.split('/');
+    const [player, embed = 'default'] = playerEmbed.split('_');
+    const video = document.createElement('video-js');
+    video.className = 'vjs-fluid';
+    video.dataset.account = account;
+    video.dataset.player = player;
+    video.dataset.embed = embed;
+    video.dataset.videoId = url.searchParams.get('videoId');
+    video.setAttribute('controls', '');
+    if (autoplay) video.setAttribute('autoplay', '');
+    if (background) {
+      ['muted', 'loop', 'playsinline'].forEach((attr) => video.setAttribute(attr, ''));
+      video.removeAttribute('controls');
+    }
+    return video;
+  },
+  connect: async (video, emit) => {
+    const { account, player, embed } = video.dataset;
+    const src = `https://players.brightcove.net/${account}/${player}_${embed}/index.min.js`;
+    await loadLibrary(src);
+    const bcPlayer = window.videojs.getPlayer(video) || window.bc(video);
+    const times = () => ({
+      currentTime: bcPlayer.currentTime(),
+      duration: bcPlayer.duration() || 0,
+    });
+    bcPlayer.ready(() => emit('ready', times()));
+    ['play', 'pause', 'timeupdate', 'ended'].forEach((type) => {
+      bcPlayer.on(type, () => emit(type, times()));
+    });
+  },
+  command: (video, command, value) => {
+    const bcPlayer = window.videojs && window.videojs.getPlayer(video);
+    if (!bcPlayer) return;
+    if (command === 'play') bcPlayer.play();
+    if (command === 'pause') bcPlayer.pause();
+    if (command === 'mute') bcPlayer.muted(true);
+    if (command === 'unmute') bcPlayer.muted(false);
+    if (command === 'seek') bcPlayer.currentTime(value);
+  },
+});
+
+/* Wistia, through the player.js protocol */
+
+const PLAYERJS_VERSION = '0.0.11';
+const WISTIA_ORIGIN = 'https://fast.wistia.net';
+
+registerProvider({
+  name: 'wistia',
+  label: 'Wistia',
+  match: (url) => /(^|\.)(wistia\.(com|net)|wi\.st)$/.test(url.hostname),
+  build: (url, { autoplay, background } = {}) => {
+    // e.g. https://<account>.wistia.com/medias/<id> or https://fast.wistia.net/embed/iframe/<id>
+    const id = url.pathname.split('/').filter((segment) => segment).pop();
+    const params = new URLSearchParams();
+    if (autoplay) params.set('autoPlay', 'true');
+    if (background) {
+      params.set('muted', 'true');
+      params.set('controlsVisibleOnLoad', 'false');
+      params.set('endVideoBehavior', 'loop');
+    }
+    return buildIframe(`${WISTIA_ORIGIN}/embed/iframe/${id}?${params}`, 'Content from Wistia');
+  },
+  connect: (iframe, emit) => {
+    listen(iframe, [WISTIA_ORIGIN], (data) => {
+      if (data.context !== 'player.js') return;
+      if (data.event === 'ready') {
+        ['play', 'pause', 'timeupdate', 'ended'].forEach((type, listener) => {
+          post(iframe, WISTIA_ORIGIN, {
+            context: 'player.js', version: PLAYERJS_VERSION, method: 'addEventListener', value: type, listener,
+          });
+        });
+        emit('ready');
+      } else if (data.event === 'timeupdate' && data.value) {
+        emit('timeupdate', { currentTime: data.value.seconds, duration: data.value.duration });
+      } else if (['play', 'pause', 'ended'].includes(data.event)) {
+        emit(data.event);
+      }
+    });
+  },
+  command: (iframe, command, value) => {
+    const methods = {
+      play: 'play', pause: 'pause', mute: 'mute', unmute: 'unmute', seek: 'setCurrentTime',
+    };
+    post(iframe, WISTIA_ORIGIN, {
+      context: 'player.js', version: PLAYERJS_VERSION, method: methods[command], value,
+    });
+  },
+});
+
+/* Vimeo, through the player postMessage API */
+
+const VIMEO_ORIGIN = 'https://player.vimeo.com';
+
+registerProvider({
+  name: 'vimeo',
+  label: 'Vimeo',
+  match: (url) => /(^|\.)vimeo\.com$/.test(url.hostname),
+  build: (url, { autoplay, background } = {}) => {
+    // e.g. https://vimeo.com/<id> or https://player.vimeo.com/video/<id>
+    const segments = url.pathname.split('/').filter((segment) => segment);
+    const video = segments[0] === 'video' ? segments[1] : segments[0];
+    const params = new URLSearchParams();
+    if (background || autoplay) {
+      params.set('autoplay', autoplay ? '1' : '0');
+      params.set('background', background ? '1' : '0');
+    }
+    const query = params.toString();
+    return buildIframe(`${VIMEO_ORIGIN}/video/${video}${query ? `?${query}` : ''}`, 'Content from Vimeo', 'autoplay; fullscreen; picture-in-picture');
+  },
+  connect: (iframe, emit) => {
+    listen(iframe, [VIMEO_ORIGIN], (data) => {
+      if (data.event === 'ready') {
+        ['play', 'pause', 'timeupdate', 'ended'].forEach((type) => {
+          post(iframe, VIMEO_ORIGIN, { method: 'addEventListener', value: type });
+        });
+        emit('ready');
+      } else if (data.event === 'timeupdate' && data.data) {
+        emit('timeupdate', { currentTime: data.data.seconds, duration: data.data.duration });
+      } else if (['play', 'pause', 'ended'].includes(data.event)) {
+        emit(data.event);
+      }
+    });
+  },
+  command: (iframe, command, value) => {
+    const messages = {
+      play: { method: 'play' },
+      pause: { method: 'pause' },
+      mute: { method: 'setMuted', value: true },
+      unmute: { method: 'setMuted', value: false },
+      seek: { method: 'setCurrentTime', value },
+    };
+    post(iframe, VIMEO_ORIGIN, messages[command]);
+  },
+});
+
+/* YouTube, through the iframe API postMessage protocol */
+
+// the privacy-enhanced mode only sets cookies once the video plays
+const YOUTUBE_ORIGIN = 'https://www.youtube-nocookie.com';
+// player states reported by YouTube
+const YOUTUBE_STATES = { 0: 'ended', 1: 'play', 2: 'pause' };
+
+registerProvider({
+  name: 'youtube',
+  label: 'YouTube',
+  match: (url) => /(^|\.)(youtube\.com|youtube-nocookie\.com|youtu\.be)$/.test(url.hostname),
+  build: (url, { autoplay, background } = {}) => {
+    // e.g. https://www.youtube.com/watch?v=<id>, https://youtu.be/<id> or https://www.youtube.com/embed/<id>
+    const segments = url.pathname.split('/').filter((segment) => segment);
+    let vid = url.searchParams.get('v');
+    if (!vid && url.hostname.endsWith('youtu.be')) [vid] = segments;
+    if (!vid && ['embed', 'shorts', 'live'].includes(segments[0])) [, vid] = segments;
+
+    const params = new URLSearchParams({ rel: '0', enablejsapi: '1', origin: window.location.origin });
+    if (background || autoplay) {
+      params.set('autoplay', autoplay ? '1' : '0');
+      params.set('mute', background ? '1' : '0');
+      params.set('controls', background ? '0' : '1');
+      params.set('disablekb', background ? '1' : '0');
+      params.set('loop', background ? '1' : '0');
+      params.set('playsinline', background ? '1' : '0');
+      // looping a single video requires it as playlist
+      if (background) params.set('playlist', vid);
+    }
+    const src = vid ? `${YOUTUBE_ORIGIN}/embed/${encodeURIComponent(vid)}?${params}` : `${YOUTUBE_ORIGIN}${url.pathname}`;
+    return buildIframe(src, 'Content from YouTube', 'autoplay; fullscreen; picture-in-picture; encrypted-media; accelerometer; gyroscope');
+  },
+  connect: (iframe, emit) => {
+    let state;
+    const updateState = (playerState) => {
+      const type = YOUTUBE_STATES[playerState];
+      if (type && type !== state) {
+        state = type;
+        emit(type);
+      }
+    };
+    listen(iframe, [YOUTUBE_ORIGIN], (data) => {
+      if (data.event === 'onReady') {
+        emit('ready');
+      } else if (data.event === 'onStateChange') {
+        updateState(data.info);
+      } else if (data.event === 'infoDelivery' && data.info) {
+        const { currentTime, duration, playerState } = data.info;
+        if (playerState !== undefined) updateState(playerState);
+        if (currentTime !== undefined) {
+          emit('timeupdate', duration ? { currentTime, duration } : { currentTime });
+        }
+      }
+    }, () => {
+      // asks the player to report its state changes and progress
+      post(iframe, YOUTUBE_ORIGIN, { event: 'listening', id: 1, channel: 'widget' });
+    });
+  },
+  command: (iframe, command, value) => {
+    const calls = {
+      play: ['playVideo', []],
+      pause: ['pauseVideo', []],
+      mute: ['mute', []],
+      unmute: ['unMute', []],
+      seek: ['seekTo', [value, true]],
+    };
+    const [func, args] = calls[command];
+    post(iframe, YOUTUBE_ORIGIN, { event: 'command', func, args });
+  },
+});
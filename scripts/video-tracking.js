@@ -0,0 +1,79 @@
+/*
+ * Video Tracking
+ * Reports the engagement with players as RUM checkpoints: video-play, video-pause,
+ * video-25, video-50, video-75, video-100 and video-complete, with the position of the block
+ * as source and the video URL as target.
+ */
+
+import { sampleRUM } from './aem.js';
+
+const MILESTONES = [25, 50, 75, 100];
+const isDev = window.location.hostname.includes('localhost');
+let debugOverlay;
+
+/**
+ * Gets the position of a block among the blocks of its kind, e.g. "video-2".
+ * @param {Element} block The block
+ * @returns {string} The position
+ */
+function getBlockPosition(block) {
+  const { blockName } = block.dataset;
+  const blocks = [...document.querySelectorAll(`[data-block-name="${blockName}"]`)];
+  return `${blockName}-${blocks.indexOf(block) + 1}`;
+}
+
+/**
+ * Lists the video checkpoints in an overlay, for checking the tracking while developing locally.
+ */
+function showDebugOverlay() {
+  if (debugOverlay) return;
+  debugOverlay = document.createElement('ol');
+  debugOverlay.className = 'video-tracking-debug';
+  debugOverlay.setAttribute('aria-label', 'Video checkpoints');
+  debugOverlay.setAttribute('style', 'position: fixed; bottom: 8px; right: 8px; z-index: 1000; max-height: 40vh; overflow-y: auto; margin: 0; padding: 8px 8px 8px 32px; background: rgb(0 0 0 / 80%); color: #fff; font: 12px/1.5 monospace;');
+  document.body.append(debugOverlay);
+
+  document.addEventListener('rum', ({ detail }) => {
+    if (!detail.checkpoint?.startsWith('video-')) return;
+    const { source, target } = detail.data;
+    // only sampled page views send their checkpoints
+    const sent = window.hlx.rum && window.hlx.rum.isSelected ? 'sent' : 'not sampled';
+    const li = document.createElement('li');
+    li.textContent = `${detail.checkpoint} ${source} ${target} (${sent})`;
+    debugOverlay.append(li);
+    debugOverlay.scrollTop = debugOverlay.scrollHeight;
+  });
+}
+
+/**
+ * Reports the playback of a player in a block through RUM.
+ * @param {Element} block The block containing the player
+ * @param {object} player The player, created by the video providers
+ */
+export default function trackVideo(block, player) {
+  if (isDev) showDebugOverlay();
+  const reported = new Set();
+  const report = (checkpoint) => {
+    sampleRUM(checkpoint, { source: getBlockPosition(block), target: player.src });
+  };
+
+  player.element.addEventListener('video:play', () => report('video-play'));
+  player.element.addEventListener('video:pause', () => report('video-pause'));
+  player.element.addEventListener('video:timeupdate', ({ detail }) => {
+    if (!detail.duration) return;
+    const progress = (detail.currentTime / detail.duration) * 100;
+    MILESTONES.filter((milestone) => progress >= milestone && !reported.has(milestone))
+      .forEach((milestone) => {
+        reported.add(milestone);
+        report(`video-${milestone}`);
+      });
+  });
+  player.element.addEventListener('video:ended', () => {
+    // the last progress update may come shortly before the end
+    if (!reported.has(100)) {
+      reported.add(100);
+      report('video-100');
+    }
+    report('video-complete');
+  });
+}